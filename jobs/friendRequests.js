@@ -0,0 +1,44 @@
+const db = require('../db/knex');
+const { cleanupFriendRequests } = require('../utils/friendRequests');
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Periodically remove expired friend requests and stale rate limit records.
+ * Set FRIEND_REQUEST_CLEANUP_INTERVAL_MS=0 to disable.
+ *
+ * @returns {NodeJS.Timeout | null}
+ */
+function startFriendRequestCleanupJob() {
+  const configured = process.env.FRIEND_REQUEST_CLEANUP_INTERVAL_MS;
+  const intervalMs = configured === undefined ? DEFAULT_INTERVAL_MS : Number(configured);
+
+  if (!intervalMs || Number.isNaN(intervalMs)) {
+    return null;
+  }
+
+  let running = false;
+
+  const run = async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+
+    try {
+      await cleanupFriendRequests(db);
+    } catch (error) {
+      console.error('Clean up friend requests error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+
+  return timer;
+}
+
+module.exports = { startFriendRequestCleanupJob };
@@ -0,0 +1,45 @@
+const db = require('../db/knex');
+const { publishDuePosts } = require('../utils/publishing');
+
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Periodically publish scheduled posts that are due. Every server process can run this
+ * job; each post is still published exactly once.
+ * Set SCHEDULED_POST_PUBLISH_INTERVAL_MS=0 to disable.
+ *
+ * @returns {NodeJS.Timeout | null}
+ */
+function startScheduledPostPublishJob() {
+  const configured = process.env.SCHEDULED_POST_PUBLISH_INTERVAL_MS;
+  const intervalMs = configured === undefined ? DEFAULT_INTERVAL_MS : Number(configured);
+
+  if (!intervalMs || Number.isNaN(intervalMs)) {
+    return null;
+  }
+
+  let running = false;
+
+  const run = async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+
+    try {
+      await publishDuePosts(db);
+    } catch (error) {
+      console.error('Publish scheduled posts error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+
+  return timer;
+}
+
+module.exports = { startScheduledPostPublishJob };
@@ -0,0 +1,49 @@
+const db = require('../db/knex');
+const { refreshSuggestions } = require('../utils/suggestions');
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Periodically regenerate friend suggestions for every user so changes elsewhere in the
+ * graph (friends of friends making new friends) are picked up.
+ * Set SUGGESTION_REFRESH_INTERVAL_MS=0 to disable.
+ *
+ * @returns {NodeJS.Timeout | null}
+ */
+function startSuggestionRefreshJob() {
+  const configured = process.env.SUGGESTION_REFRESH_INTERVAL_MS;
+  const intervalMs = configured === undefined ? DEFAULT_INTERVAL_MS : Number(configured);
+
+  if (!intervalMs || Number.isNaN(intervalMs)) {
+    return null;
+  }
+
+  let running = false;
+
+  const run = async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+
+    try {
+      const users = await db('users').select('id');
+
+      for (const user of users) {
+        await refreshSuggestions(db, user.id);
+      }
+    } catch (error) {
+      console.error('Refresh friend suggestions error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+
+  return timer;
+}
+
+module.exports = { startSuggestionRefreshJob };
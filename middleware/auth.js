@@ -1,8 +1,10 @@
 const jwt = require('jsonwebtoken');
+const { touchLastSeen } = require('../utils/presence');
 
 /**
  * Middleware to require JWT authentication
  * Parses Bearer token and attaches user to req.user
+ * and records the request as activity for presence tracking
  */
 function requireAuth(req, res, next) {
   const authHeader = req.headers.authorization;
@@ -25,6 +27,11 @@ function requireAuth(req, res, next) {
       id: decoded.sub,
       username: decoded.username,
     };
+
+    touchLastSeen(Number(decoded.sub)).catch(err => {
+      console.error('Update last seen error:', err);
+    });
+
     next();
   } catch (error) {
     return res.status(401).json({
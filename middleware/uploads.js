@@ -0,0 +1,43 @@
+const multer = require('multer');
+const { MAX_ATTACHMENTS, MAX_ATTACHMENT_BYTES } = require('../utils/attachments');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    files: MAX_ATTACHMENTS,
+    fileSize: MAX_ATTACHMENT_BYTES,
+  },
+}).array('attachments');
+
+/**
+ * Middleware to accept image attachments from a multipart/form-data body
+ * Files from the `attachments` field are kept in memory on req.files and the other
+ * fields are parsed into req.body; JSON requests pass through untouched
+ */
+function uploadAttachments(req, res, next) {
+  upload(req, res, err => {
+    if (!err) {
+      req.files = req.files || [];
+      return next();
+    }
+
+    if (err instanceof multer.MulterError) {
+      const messages = {
+        LIMIT_FILE_SIZE: `Attachments must be ${Math.floor(MAX_ATTACHMENT_BYTES / (1024 * 1024))} MB or less`,
+        LIMIT_FILE_COUNT: `A post can have at most ${MAX_ATTACHMENTS} attachments`,
+        LIMIT_UNEXPECTED_FILE: 'Files must be uploaded in the `attachments` field',
+      };
+
+      return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        error: {
+          code: err.code === 'LIMIT_FILE_SIZE' ? 'payload_too_large' : 'validation_error',
+          message: messages[err.code] || err.message,
+        },
+      });
+    }
+
+    next(err);
+  });
+}
+
+module.exports = { uploadAttachments };
@@ -0,0 +1,36 @@
+/**
+ * Mutual friend counts are derived from the friendships graph at read time,
+ * so the stored (and never updated) columns are removed.
+ *
+ * @param {import('knex')} knex
+ */
+exports.up = async function up(knex) {
+  await knex.schema.alterTable('friendships', table => {
+    table.dropColumn('mutual_friends');
+  });
+
+  await knex.schema.alterTable('friend_suggestions', table => {
+    table.dropColumn('mutual_friends');
+  });
+
+  await knex.schema.alterTable('friend_requests', table => {
+    table.dropColumn('mutual_friends');
+  });
+};
+
+/**
+ * @param {import('knex')} knex
+ */
+exports.down = async function down(knex) {
+  await knex.schema.alterTable('friend_requests', table => {
+    table.integer('mutual_friends').defaultTo(0);
+  });
+
+  await knex.schema.alterTable('friend_suggestions', table => {
+    table.integer('mutual_friends').defaultTo(0);
+  });
+
+  await knex.schema.alterTable('friendships', table => {
+    table.integer('mutual_friends').defaultTo(0);
+  });
+};
@@ -0,0 +1,19 @@
+/**
+ * @param {import('knex')} knex
+ */
+exports.up = async function up(knex) {
+  await knex.schema.alterTable('friend_suggestions', table => {
+    table.integer('score').notNullable().defaultTo(0);
+    table.timestamp('dismissed_at').nullable();
+  });
+};
+
+/**
+ * @param {import('knex')} knex
+ */
+exports.down = async function down(knex) {
+  await knex.schema.alterTable('friend_suggestions', table => {
+    table.dropColumn('dismissed_at');
+    table.dropColumn('score');
+  });
+};
@@ -0,0 +1,30 @@
+/**
+ * @param {import('knex')} knex
+ */
+exports.up = async function up(knex) {
+  await knex.schema.createTable('blocks', table => {
+    table
+      .integer('blocker_user_id')
+      .notNullable()
+      .references('id')
+      .inTable('users')
+      .onDelete('CASCADE');
+    table
+      .integer('blocked_user_id')
+      .notNullable()
+      .references('id')
+      .inTable('users')
+      .onDelete('CASCADE');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.primary(['blocker_user_id', 'blocked_user_id']);
+    table.index(['blocked_user_id']);
+  });
+};
+
+/**
+ * @param {import('knex')} knex
+ */
+exports.down = async function down(knex) {
+  await knex.schema.dropTableIfExists('blocks');
+};
@@ -0,0 +1,36 @@
+/**
+ * Presence is derived from `users.last_seen_at` instead of the stored status strings,
+ * which were only ever written once and copied onto friendships.
+ *
+ * @param {import('knex')} knex
+ */
+exports.up = async function up(knex) {
+  await knex.schema.alterTable('users', table => {
+    table.timestamp('last_seen_at').nullable();
+    table.index(['last_seen_at']);
+  });
+
+  // knex's dropColumn rebuilds the table on SQLite, and dropping `users` with foreign keys
+  // enabled would cascade-delete every row that references it
+  await knex.raw('ALTER TABLE ?? DROP COLUMN ??', ['users', 'status']);
+  await knex.raw('ALTER TABLE ?? DROP COLUMN ??', ['friendships', 'status']);
+};
+
+/**
+ * @param {import('knex')} knex
+ */
+exports.down = async function down(knex) {
+  await knex.schema.alterTable('friendships', table => {
+    table.string('status');
+  });
+
+  await knex.schema.alterTable('users', table => {
+    table.string('status');
+  });
+
+  await knex.schema.alterTable('users', table => {
+    table.dropIndex(['last_seen_at']);
+  });
+
+  await knex.raw('ALTER TABLE ?? DROP COLUMN ??', ['users', 'last_seen_at']);
+};
@@ -0,0 +1,54 @@
+/**
+ * @param {import('knex')} knex
+ */
+exports.up = async function up(knex) {
+  await knex.schema.createTable('friend_lists', table => {
+    table.increments('id').primary();
+    table
+      .integer('user_id')
+      .notNullable()
+      .references('id')
+      .inTable('users')
+      .onDelete('CASCADE');
+    table.string('name').notNullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.unique(['user_id', 'name']);
+  });
+
+  await knex.schema.createTable('friend_list_members', table => {
+    table
+      .integer('list_id')
+      .notNullable()
+      .references('id')
+      .inTable('friend_lists')
+      .onDelete('CASCADE');
+    table
+      .integer('member_user_id')
+      .notNullable()
+      .references('id')
+      .inTable('users')
+      .onDelete('CASCADE');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.primary(['list_id', 'member_user_id']);
+    table.index(['member_user_id']);
+  });
+
+  // Deliberately not a foreign key: when a list is deleted its posts keep pointing at it,
+  // which leaves them visible to the author only instead of silently becoming public.
+  await knex.schema.alterTable('posts', table => {
+    table.integer('audience_list_id').nullable();
+  });
+};
+
+/**
+ * @param {import('knex')} knex
+ */
+exports.down = async function down(knex) {
+  // knex's dropColumn rebuilds the table on SQLite, and dropping `posts` with foreign keys
+  // enabled would cascade-delete every row that references it
+  await knex.raw('ALTER TABLE ?? DROP COLUMN ??', ['posts', 'audience_list_id']);
+  await knex.schema.dropTableIfExists('friend_list_members');
+  await knex.schema.dropTableIfExists('friend_lists');
+};
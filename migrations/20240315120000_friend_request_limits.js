@@ -0,0 +1,34 @@
+/**
+ * @param {import('knex')} knex
+ */
+exports.up = async function up(knex) {
+  await knex.schema.alterTable('friend_requests', table => {
+    table.timestamp('responded_at').nullable();
+    table.index(['status', 'created_at']);
+  });
+
+  // Append-only log of sent requests, so cancelling a request does not give the sender back quota
+  await knex.schema.createTable('friend_request_sends', table => {
+    table.increments('id').primary();
+    table
+      .integer('sender_user_id')
+      .notNullable()
+      .references('id')
+      .inTable('users')
+      .onDelete('CASCADE');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.index(['sender_user_id', 'created_at']);
+  });
+};
+
+/**
+ * @param {import('knex')} knex
+ */
+exports.down = async function down(knex) {
+  await knex.schema.dropTableIfExists('friend_request_sends');
+  await knex.schema.alterTable('friend_requests', table => {
+    table.dropIndex(['status', 'created_at']);
+    table.dropColumn('responded_at');
+  });
+};
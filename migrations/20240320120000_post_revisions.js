@@ -0,0 +1,33 @@
+/**
+ * @param {import('knex')} knex
+ */
+exports.up = async function up(knex) {
+  await knex.schema.alterTable('posts', table => {
+    table.timestamp('edited_at').nullable();
+  });
+
+  await knex.schema.createTable('post_revisions', table => {
+    table.increments('id').primary();
+    table
+      .integer('post_id')
+      .notNullable()
+      .references('id')
+      .inTable('posts')
+      .onDelete('CASCADE');
+    table.text('text').notNullable();
+    // When this version of the text was originally written
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.index(['post_id']);
+  });
+};
+
+/**
+ * @param {import('knex')} knex
+ */
+exports.down = async function down(knex) {
+  await knex.schema.dropTableIfExists('post_revisions');
+  // knex's dropColumn rebuilds the table on SQLite, and dropping `posts` with foreign keys
+  // enabled would cascade-delete every row that references it
+  await knex.raw('ALTER TABLE ?? DROP COLUMN ??', ['posts', 'edited_at']);
+};
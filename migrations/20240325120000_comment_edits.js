@@ -0,0 +1,17 @@
+/**
+ * @param {import('knex')} knex
+ */
+exports.up = async function up(knex) {
+  await knex.schema.alterTable('comments', table => {
+    table.timestamp('edited_at').nullable();
+  });
+};
+
+/**
+ * @param {import('knex')} knex
+ */
+exports.down = async function down(knex) {
+  // knex's dropColumn rebuilds the table on SQLite, and dropping `comments` with foreign keys
+  // enabled would cascade-delete every row that references it
+  await knex.raw('ALTER TABLE ?? DROP COLUMN ??', ['comments', 'edited_at']);
+};
@@ -0,0 +1,20 @@
+/**
+ * @param {import('knex')} knex
+ */
+exports.up = async function up(knex) {
+  await knex.schema.alterTable('posts', table => {
+    // One of 'public', 'friends', 'only_me' or 'list' (restricted to audience_list_id)
+    table.string('visibility').notNullable().defaultTo('public');
+  });
+
+  await knex('posts').whereNotNull('audience_list_id').update({ visibility: 'list' });
+};
+
+/**
+ * @param {import('knex')} knex
+ */
+exports.down = async function down(knex) {
+  // knex's dropColumn rebuilds the table on SQLite, and dropping `posts` with foreign keys
+  // enabled would cascade-delete every row that references it
+  await knex.raw('ALTER TABLE ?? DROP COLUMN ??', ['posts', 'visibility']);
+};
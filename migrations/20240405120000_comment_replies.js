@@ -0,0 +1,35 @@
+/**
+ * Columns are added and dropped with raw ALTER TABLE: knex rebuilds the table on SQLite
+ * for a foreign key column or a dropped column, and dropping `comments` with foreign keys
+ * enabled would cascade-delete every comment like.
+ *
+ * @param {import('knex')} knex
+ */
+exports.up = async function up(knex) {
+  await knex.raw(
+    'ALTER TABLE ?? ADD COLUMN ?? integer NULL REFERENCES ?? (??) ON DELETE CASCADE',
+    ['comments', 'parent_comment_id', 'comments', 'id']
+  );
+
+  await knex.schema.alterTable('comments', table => {
+    // 0 for top-level comments, parent depth + 1 for replies
+    table.integer('depth').notNullable().defaultTo(0);
+    // Deleted comments that still have replies are kept as placeholders
+    table.timestamp('deleted_at').nullable();
+
+    table.index(['parent_comment_id', 'created_at']);
+  });
+};
+
+/**
+ * @param {import('knex')} knex
+ */
+exports.down = async function down(knex) {
+  await knex.schema.alterTable('comments', table => {
+    table.dropIndex(['parent_comment_id', 'created_at']);
+  });
+
+  await knex.raw('ALTER TABLE ?? DROP COLUMN ??', ['comments', 'deleted_at']);
+  await knex.raw('ALTER TABLE ?? DROP COLUMN ??', ['comments', 'depth']);
+  await knex.raw('ALTER TABLE ?? DROP COLUMN ??', ['comments', 'parent_comment_id']);
+};
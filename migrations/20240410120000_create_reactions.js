@@ -0,0 +1,119 @@
+/**
+ * @param {import('knex')} knex
+ */
+exports.up = async function up(knex) {
+  await knex.schema.createTable('post_reactions', table => {
+    table
+      .integer('post_id')
+      .notNullable()
+      .references('id')
+      .inTable('posts')
+      .onDelete('CASCADE');
+    table
+      .integer('user_id')
+      .notNullable()
+      .references('id')
+      .inTable('users')
+      .onDelete('CASCADE');
+    // One of 'like', 'love', 'laugh', 'wow', 'sad' or 'angry'
+    table.string('reaction').notNullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.primary(['post_id', 'user_id']);
+  });
+
+  await knex.schema.createTable('comment_reactions', table => {
+    table
+      .integer('comment_id')
+      .notNullable()
+      .references('id')
+      .inTable('comments')
+      .onDelete('CASCADE');
+    table
+      .integer('user_id')
+      .notNullable()
+      .references('id')
+      .inTable('users')
+      .onDelete('CASCADE');
+    table.string('reaction').notNullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.primary(['comment_id', 'user_id']);
+  });
+
+  // Existing likes become `like` reactions
+  await knex.raw(
+    'INSERT INTO ?? (??, ??, ??, ??) SELECT ??, ??, ?, ?? FROM ??',
+    ['post_reactions', 'post_id', 'user_id', 'reaction', 'created_at', 'post_id', 'user_id', 'like', 'created_at', 'post_likes']
+  );
+
+  await knex.raw(
+    'INSERT INTO ?? (??, ??, ??, ??) SELECT ??, ??, ?, ?? FROM ??',
+    ['comment_reactions', 'comment_id', 'user_id', 'reaction', 'created_at', 'comment_id', 'user_id', 'like', 'created_at', 'comment_likes']
+  );
+
+  // Only drop the likes once every one of them has been carried over
+  for (const [likesTable, reactionsTable] of [
+    ['post_likes', 'post_reactions'],
+    ['comment_likes', 'comment_reactions'],
+  ]) {
+    const { count: likeCount } = await knex(likesTable).count({ count: '*' }).first();
+    const { count: reactionCount } = await knex(reactionsTable).count({ count: '*' }).first();
+
+    if (Number(likeCount) !== Number(reactionCount)) {
+      throw new Error(`Copied ${reactionCount} of ${likeCount} rows from ${likesTable} to ${reactionsTable}`);
+    }
+  }
+
+  await knex.schema.dropTable('comment_likes');
+  await knex.schema.dropTable('post_likes');
+};
+
+/**
+ * @param {import('knex')} knex
+ */
+exports.down = async function down(knex) {
+  await knex.schema.createTable('post_likes', table => {
+    table
+      .integer('post_id')
+      .notNullable()
+      .references('id')
+      .inTable('posts')
+      .onDelete('CASCADE');
+    table
+      .integer('user_id')
+      .notNullable()
+      .references('id')
+      .inTable('users')
+      .onDelete('CASCADE');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.primary(['post_id', 'user_id']);
+  });
+
+  await knex.schema.createTable('comment_likes', table => {
+    table
+      .integer('comment_id')
+      .notNullable()
+      .references('id')
+      .inTable('comments')
+      .onDelete('CASCADE');
+    table
+      .integer('user_id')
+      .notNullable()
+      .references('id')
+      .inTable('users')
+      .onDelete('CASCADE');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.primary(['comment_id', 'user_id']);
+  });
+
+  // Every reaction is turned back into a like
+  await knex('post_likes').insert(knex('post_reactions').select('post_id', 'user_id', 'created_at'));
+
+  await knex('comment_likes').insert(knex('comment_reactions').select('comment_id', 'user_id', 'created_at'));
+
+  await knex.schema.dropTable('comment_reactions');
+  await knex.schema.dropTable('post_reactions');
+};
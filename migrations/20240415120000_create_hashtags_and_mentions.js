@@ -0,0 +1,124 @@
+// Entity patterns as of this migration. Kept here rather than imported so that later
+// changes to utils/entities.js cannot change what this migration does.
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_#@])#([\p{L}\p{N}_]{1,100})/gu;
+const MENTION_PATTERN = /(?<![\p{L}\p{N}_#@.])@([A-Za-z0-9_]{1,50})/gu;
+
+/**
+ * Build the index rows for the hashtags and known @mentions in one post or comment.
+ *
+ * @param {{ postId: number, commentId: number | null, text: string, createdAt: string }} target
+ * @param {Map<string, number>} userIdsByUsername - Keyed by lowercase username
+ */
+const entityRows = ({ postId, commentId, text, createdAt }, userIdsByUsername) => {
+  const tags = new Set([...text.matchAll(HASHTAG_PATTERN)].map(match => match[1].normalize('NFC').toLowerCase()));
+  const userIds = new Set(
+    [...text.matchAll(MENTION_PATTERN)]
+      .map(match => userIdsByUsername.get(match[1].toLowerCase()))
+      .filter(userId => userId !== undefined)
+  );
+
+  return {
+    hashtags: [...tags].map(tag => ({ tag, post_id: postId, comment_id: commentId, created_at: createdAt })),
+    mentions: [...userIds].map(userId => ({
+      mentioned_user_id: userId,
+      post_id: postId,
+      comment_id: commentId,
+      created_at: createdAt,
+    })),
+  };
+};
+
+/**
+ * @param {import('knex')} knex
+ */
+exports.up = async function up(knex) {
+  // Index of the hashtags used in posts and comments (comment_id is null for the post text itself)
+  await knex.schema.createTable('hashtags', table => {
+    table.increments('id').primary();
+    // Normalized: lowercase, without the leading `#`
+    table.string('tag').notNullable();
+    table
+      .integer('post_id')
+      .notNullable()
+      .references('id')
+      .inTable('posts')
+      .onDelete('CASCADE');
+    table
+      .integer('comment_id')
+      .nullable()
+      .references('id')
+      .inTable('comments')
+      .onDelete('CASCADE');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.index(['tag', 'post_id']);
+    table.index(['post_id', 'comment_id']);
+  });
+
+  // Index of the users @mentioned in posts and comments (comment_id is null for the post text itself)
+  await knex.schema.createTable('mentions', table => {
+    table.increments('id').primary();
+    table
+      .integer('mentioned_user_id')
+      .notNullable()
+      .references('id')
+      .inTable('users')
+      .onDelete('CASCADE');
+    table
+      .integer('post_id')
+      .notNullable()
+      .references('id')
+      .inTable('posts')
+      .onDelete('CASCADE');
+    table
+      .integer('comment_id')
+      .nullable()
+      .references('id')
+      .inTable('comments')
+      .onDelete('CASCADE');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.index(['mentioned_user_id', 'created_at']);
+    table.index(['post_id', 'comment_id']);
+  });
+
+  // Index the text that was written before hashtags and mentions were parsed
+  const users = await knex('users').select('id', 'username');
+  const userIdsByUsername = new Map(users.map(user => [user.username.toLowerCase(), user.id]));
+
+  const posts = await knex('posts').select('id', 'text', 'created_at');
+  const comments = await knex('comments').whereNull('deleted_at').select('id', 'post_id', 'text', 'created_at');
+
+  const targets = [
+    ...posts.map(post => ({ postId: post.id, commentId: null, text: post.text, createdAt: post.created_at })),
+    ...comments.map(comment => ({
+      postId: comment.post_id,
+      commentId: comment.id,
+      text: comment.text,
+      createdAt: comment.created_at,
+    })),
+  ];
+
+  for (const target of targets) {
+    const { hashtags, mentions } = entityRows(
+      { ...target, createdAt: new Date(target.createdAt).toISOString() },
+      userIdsByUsername
+    );
+
+    if (hashtags.length) {
+      await knex('hashtags').insert(hashtags);
+    }
+
+    if (mentions.length) {
+      await knex('mentions').insert(mentions);
+    }
+  }
+};
+
+/**
+ * @param {import('knex')} knex
+ */
+exports.down = async function down(knex) {
+  await knex.schema.dropTableIfExists('mentions');
+  await knex.schema.dropTableIfExists('hashtags');
+};
@@ -0,0 +1,35 @@
+/**
+ * @param {import('knex')} knex
+ */
+exports.up = async function up(knex) {
+  await knex.schema.createTable('post_attachments', table => {
+    table.increments('id').primary();
+    table
+      .integer('post_id')
+      .notNullable()
+      .references('id')
+      .inTable('posts')
+      .onDelete('CASCADE');
+    // Order of the attachment within its post, starting at 0
+    table.integer('position').notNullable();
+    // Keys of the image and its thumbnail in the storage driver
+    table.string('storage_key').notNullable();
+    table.string('thumbnail_key').notNullable();
+    table.string('mime_type').notNullable();
+    table.integer('size_bytes').notNullable();
+    table.integer('width').notNullable();
+    table.integer('height').notNullable();
+    table.integer('thumbnail_width').notNullable();
+    table.integer('thumbnail_height').notNullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.index(['post_id', 'position']);
+  });
+};
+
+/**
+ * @param {import('knex')} knex
+ */
+exports.down = async function down(knex) {
+  await knex.schema.dropTableIfExists('post_attachments');
+};
@@ -0,0 +1,73 @@
+// Tables and columns indexed for search. Kept here rather than imported so that later
+// changes to utils/search.js cannot change what this migration does.
+const SEARCH_SOURCES = [
+  { table: 'users', column: 'username' },
+  { table: 'posts', column: 'text' },
+  { table: 'comments', column: 'text' },
+];
+
+const isPostgres = knex => ['pg', 'postgres', 'postgresql'].includes(knex.client.config.client);
+
+/**
+ * @param {import('knex')} knex
+ */
+exports.up = async function up(knex) {
+  for (const { table, column } of SEARCH_SOURCES) {
+    if (isPostgres(knex)) {
+      await knex.raw(
+        `ALTER TABLE ?? ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (to_tsvector('simple', coalesce(??, ''))) STORED`,
+        [table, column]
+      );
+      await knex.raw('CREATE INDEX ?? ON ?? USING GIN (search_vector)', [`${table}_search_vector_index`, table]);
+    } else {
+      const ftsTable = `${table}_fts`;
+
+      // External content table: only the index is stored, the text is read from `table`
+      await knex.raw(
+        `CREATE VIRTUAL TABLE ${ftsTable} USING fts5(${column}, content='${table}', content_rowid='id', tokenize='unicode61 remove_diacritics 2')`
+      );
+
+      await knex.raw(`
+        CREATE TRIGGER ${ftsTable}_insert AFTER INSERT ON ${table} BEGIN
+          INSERT INTO ${ftsTable}(rowid, ${column}) VALUES (new.id, new.${column});
+        END
+      `);
+      await knex.raw(`
+        CREATE TRIGGER ${ftsTable}_delete AFTER DELETE ON ${table} BEGIN
+          INSERT INTO ${ftsTable}(${ftsTable}, rowid, ${column}) VALUES ('delete', old.id, old.${column});
+        END
+      `);
+      await knex.raw(`
+        CREATE TRIGGER ${ftsTable}_update AFTER UPDATE OF ${column} ON ${table} BEGIN
+          INSERT INTO ${ftsTable}(${ftsTable}, rowid, ${column}) VALUES ('delete', old.id, old.${column});
+          INSERT INTO ${ftsTable}(rowid, ${column}) VALUES (new.id, new.${column});
+        END
+      `);
+
+      // Index the existing rows
+      await knex.raw(`INSERT INTO ${ftsTable}(${ftsTable}) VALUES ('rebuild')`);
+    }
+  }
+};
+
+/**
+ * @param {import('knex')} knex
+ */
+exports.down = async function down(knex) {
+  for (const { table } of SEARCH_SOURCES) {
+    if (isPostgres(knex)) {
+      await knex.raw('DROP INDEX IF EXISTS ??', [`${table}_search_vector_index`]);
+      await knex.schema.alterTable(table, t => {
+        t.dropColumn('search_vector');
+      });
+    } else {
+      const ftsTable = `${table}_fts`;
+
+      for (const action of ['insert', 'delete', 'update']) {
+        await knex.raw(`DROP TRIGGER IF EXISTS ${ftsTable}_${action}`);
+      }
+
+      await knex.raw(`DROP TABLE IF EXISTS ${ftsTable}`);
+    }
+  }
+};
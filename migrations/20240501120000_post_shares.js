@@ -0,0 +1,24 @@
+/**
+ * @param {import('knex')} knex
+ */
+exports.up = async function up(knex) {
+  // Deliberately not a foreign key: when the original post is deleted its shares keep
+  // pointing at it, so they can be shown as shares of an unavailable post.
+  await knex.schema.alterTable('posts', table => {
+    table.integer('shared_post_id').nullable();
+
+    table.index(['shared_post_id']);
+  });
+};
+
+/**
+ * @param {import('knex')} knex
+ */
+exports.down = async function down(knex) {
+  await knex.schema.alterTable('posts', table => {
+    table.dropIndex(['shared_post_id']);
+  });
+
+  // knex's dropColumn rebuilds the table on SQLite, which the search index triggers prevent
+  await knex.raw('ALTER TABLE ?? DROP COLUMN ??', ['posts', 'shared_post_id']);
+};
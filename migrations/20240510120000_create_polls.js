@@ -0,0 +1,70 @@
+/**
+ * @param {import('knex')} knex
+ */
+exports.up = async function up(knex) {
+  await knex.schema.createTable('polls', table => {
+    table.increments('id').primary();
+    table
+      .integer('post_id')
+      .notNullable()
+      .unique()
+      .references('id')
+      .inTable('posts')
+      .onDelete('CASCADE');
+    table.boolean('multiple_choice').notNullable().defaultTo(false);
+    // Voters only see the tallies once they have voted (or the poll has closed)
+    table.boolean('hide_results_until_voted').notNullable().defaultTo(false);
+    // Null for polls that never close
+    table.timestamp('closes_at').nullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+  });
+
+  await knex.schema.createTable('poll_options', table => {
+    table.increments('id').primary();
+    table
+      .integer('poll_id')
+      .notNullable()
+      .references('id')
+      .inTable('polls')
+      .onDelete('CASCADE');
+    // Order of the option within its poll, starting at 0
+    table.integer('position').notNullable();
+    table.string('text').notNullable();
+
+    table.index(['poll_id', 'position']);
+  });
+
+  await knex.schema.createTable('poll_votes', table => {
+    table
+      .integer('poll_id')
+      .notNullable()
+      .references('id')
+      .inTable('polls')
+      .onDelete('CASCADE');
+    table
+      .integer('option_id')
+      .notNullable()
+      .references('id')
+      .inTable('poll_options')
+      .onDelete('CASCADE');
+    table
+      .integer('user_id')
+      .notNullable()
+      .references('id')
+      .inTable('users')
+      .onDelete('CASCADE');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.primary(['option_id', 'user_id']);
+    table.index(['poll_id', 'user_id']);
+  });
+};
+
+/**
+ * @param {import('knex')} knex
+ */
+exports.down = async function down(knex) {
+  await knex.schema.dropTableIfExists('poll_votes');
+  await knex.schema.dropTableIfExists('poll_options');
+  await knex.schema.dropTableIfExists('polls');
+};
@@ -0,0 +1,28 @@
+/**
+ * @param {import('knex')} knex
+ */
+exports.up = async function up(knex) {
+  await knex.schema.alterTable('posts', table => {
+    // One of 'published', 'draft' or 'scheduled'; only published posts are visible to anyone
+    table.string('status').notNullable().defaultTo('published');
+    // When a scheduled post is due to be published
+    table.timestamp('publish_at').nullable();
+
+    table.index(['status', 'publish_at']);
+  });
+};
+
+/**
+ * @param {import('knex')} knex
+ */
+exports.down = async function down(knex) {
+  await knex('posts').whereNot('status', 'published').del();
+
+  await knex.schema.alterTable('posts', table => {
+    table.dropIndex(['status', 'publish_at']);
+  });
+
+  // knex's dropColumn rebuilds the table on SQLite, which the search index triggers prevent
+  await knex.raw('ALTER TABLE ?? DROP COLUMN ??', ['posts', 'publish_at']);
+  await knex.raw('ALTER TABLE ?? DROP COLUMN ??', ['posts', 'status']);
+};
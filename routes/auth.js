@@ -3,6 +3,7 @@ const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const router = express.Router();
 const db = require('../db/knex');
+const { touchLastSeen } = require('../utils/presence');
 
 /**
  * @swagger
@@ -108,7 +109,7 @@ router.post('/register', async (req, res) => {
       username: normalizedUsername,
       password_hash: hashedPassword,
       profile_image: '👤',
-      status: 'online',
+      last_seen_at: new Date().toISOString(),
     });
 
     const createdUser = await db('users').where({ username: normalizedUsername }).first();
@@ -224,6 +225,8 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    await touchLastSeen(user.id, { force: true });
+
     const token = jwt.sign(
       {
         sub: user.id,
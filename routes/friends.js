@@ -3,6 +3,75 @@ const router = express.Router();
 const { requireAuth } = require('../middleware/auth');
 const db = require('../db/knex');
 const { toRelativeTime } = require('../utils/time');
+const { blockedUserIdsQuery, isBlockedBetween } = require('../utils/blocks');
+const { getOnlineCutoff, getPresenceStatus } = require('../utils/presence');
+const {
+  getRequestExpiryCutoff,
+  checkDailySendLimit,
+  getDeclineCooldownSeconds,
+} = require('../utils/friendRequests');
+const {
+  acceptFriendRequest,
+  removeFriendship,
+  getMutualFriendCounts,
+  mutualFriendsQuery,
+} = require('../utils/friendships');
+
+const formatFriend = (row, mutualCounts) => ({
+  id: String(row.id),
+  username: row.username,
+  profileImage: row.profileImage,
+  status: getPresenceStatus(row.lastSeenAt),
+  lastSeenAt: row.lastSeenAt ? new Date(row.lastSeenAt).toISOString() : null,
+  mutualFriends: mutualCounts.get(row.userId) ?? 0,
+});
+
+const loadFriend = async (userId, friendshipId) => {
+  const row = await db('friendships as f')
+    .join('users as u', 'f.friend_user_id', 'u.id')
+    .select(
+      'f.id',
+      'u.id as userId',
+      'u.username',
+      'u.profile_image as profileImage',
+      'u.last_seen_at as lastSeenAt'
+    )
+    .where('f.id', friendshipId)
+    .first();
+
+  const mutualCounts = await getMutualFriendCounts(db, userId, [row.userId]);
+
+  return formatFriend(row, mutualCounts);
+};
+
+const formatFriendList = row => ({
+  id: String(row.id),
+  name: row.name,
+  memberCount: Number(row.memberCount ?? 0),
+  createdAt: new Date(row.createdAt).toISOString(),
+});
+
+const validateListName = name => {
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    return 'List name is required';
+  }
+
+  if (name.trim().length > 50) {
+    return 'List name must be 50 characters or less';
+  }
+
+  return null;
+};
+
+const findOwnList = (userId, listId) => {
+  const numericListId = parseInt(listId, 10);
+
+  if (Number.isNaN(numericListId)) {
+    return Promise.resolve(undefined);
+  }
+
+  return db('friend_lists').where({ id: numericListId, user_id: userId }).first();
+};
 
 /**
  * @swagger
@@ -18,13 +87,18 @@ const { toRelativeTime } = require('../utils/time');
  *         schema:
  *           type: string
  *           enum: [online, offline]
- *         description: Filter by online status
+ *         description: Filter by live presence (online when seen within the idle window)
  *       - in: query
  *         name: search
  *         schema:
  *           type: string
  *         description: Search by username (contains)
  *       - in: query
+ *         name: list
+ *         schema:
+ *           type: string
+ *         description: Only include members of this friend list
+ *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
@@ -50,11 +124,17 @@ const { toRelativeTime } = require('../utils/time');
  *                     $ref: '#/components/schemas/Friend'
  *                 pagination:
  *                   $ref: '#/components/schemas/Pagination'
+ *       404:
+ *         description: Friend list not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
 router.get('/', requireAuth, async (req, res) => {
-  const { status, search, limit = 20, offset = 0 } = req.query;
+  const { status, search, list, limit = 20, offset = 0 } = req.query;
   const userId = Number(req.user.id);
 
   const limitNum = Number.isNaN(Number(limit)) ? 20 : parseInt(limit, 10);
@@ -65,8 +145,28 @@ router.get('/', requireAuth, async (req, res) => {
       .join('users as u', 'f.friend_user_id', 'u.id')
       .where('f.user_id', userId);
 
-    if (status) {
-      baseQuery.andWhere('f.status', status);
+    if (status === 'online') {
+      baseQuery.andWhere('u.last_seen_at', '>=', getOnlineCutoff());
+    } else if (status === 'offline') {
+      const cutoff = getOnlineCutoff();
+      baseQuery.andWhere(builder => {
+        builder.whereNull('u.last_seen_at').orWhere('u.last_seen_at', '<', cutoff);
+      });
+    }
+
+    if (list) {
+      const friendList = await findOwnList(userId, list);
+
+      if (!friendList) {
+        return res.status(404).json({
+          error: {
+            code: 'not_found',
+            message: 'Friend list not found',
+          },
+        });
+      }
+
+      baseQuery.whereIn('u.id', db('friend_list_members').select('member_user_id').where('list_id', friendList.id));
     }
 
     if (search) {
@@ -81,22 +181,17 @@ router.get('/', requireAuth, async (req, res) => {
       .clone()
       .select(
         'f.id',
+        'u.id as userId',
         'u.username',
         'u.profile_image as profileImage',
-        'f.status',
-        'f.mutual_friends as mutualFriends'
+        'u.last_seen_at as lastSeenAt'
       )
       .orderBy('u.username', 'asc')
       .limit(limitNum)
       .offset(offsetNum);
 
-    const data = rows.map(row => ({
-      id: String(row.id),
-      username: row.username,
-      profileImage: row.profileImage,
-      status: row.status || null,
-      mutualFriends: row.mutualFriends ?? 0,
-    }));
+    const mutualCounts = await getMutualFriendCounts(db, userId, rows.map(row => row.userId));
+    const data = rows.map(row => formatFriend(row, mutualCounts));
 
     res.json({
       data,
@@ -122,6 +217,7 @@ router.get('/', requireAuth, async (req, res) => {
  * /friends/suggestions:
  *   get:
  *     summary: Get friend suggestions for the authenticated user
+ *     description: Suggestions are friends of friends ranked by mutual friend count. They are regenerated when the user's friendships change and periodically by a background job.
  *     tags: [Friends]
  *     security:
  *       - bearerAuth: []
@@ -165,7 +261,9 @@ router.get('/suggestions', requireAuth, async (req, res) => {
   try {
     const baseQuery = db('friend_suggestions as fs')
       .join('users as u', 'fs.suggested_user_id', 'u.id')
-      .where('fs.user_id', userId);
+      .where('fs.user_id', userId)
+      .whereNull('fs.dismissed_at')
+      .whereNotIn('fs.suggested_user_id', blockedUserIdsQuery(db, userId));
 
     const totalResult = await baseQuery.clone().count({ count: '*' }).first();
     const total = Number(totalResult?.count ?? 0);
@@ -174,19 +272,22 @@ router.get('/suggestions', requireAuth, async (req, res) => {
       .clone()
       .select(
         'fs.id',
+        'u.id as userId',
         'u.username',
-        'u.profile_image as profileImage',
-        'fs.mutual_friends as mutualFriends'
+        'u.profile_image as profileImage'
       )
+      .orderBy('fs.score', 'desc')
       .orderBy('fs.created_at', 'desc')
       .limit(limitNum)
       .offset(offsetNum);
 
+    const mutualCounts = await getMutualFriendCounts(db, userId, rows.map(row => row.userId));
+
     const data = rows.map(row => ({
       id: String(row.id),
       username: row.username,
       profileImage: row.profileImage,
-      mutualFriends: row.mutualFriends ?? 0,
+      mutualFriends: mutualCounts.get(row.userId) ?? 0,
     }));
 
     res.json({
@@ -208,11 +309,82 @@ router.get('/suggestions', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /friends/suggestions/{id}/dismiss:
+ *   post:
+ *     summary: Dismiss a friend suggestion so it is not suggested again
+ *     tags: [Friends]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the friend suggestion
+ *     responses:
+ *       204:
+ *         description: Suggestion dismissed
+ *       404:
+ *         description: Suggestion not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/suggestions/:id/dismiss', requireAuth, async (req, res) => {
+  const userId = Number(req.user.id);
+  const suggestionId = parseInt(req.params.id, 10);
+
+  if (Number.isNaN(suggestionId)) {
+    return res.status(404).json({
+      error: {
+        code: 'not_found',
+        message: 'Friend suggestion not found',
+      },
+    });
+  }
+
+  try {
+    const updated = await db('friend_suggestions')
+      .where({
+        id: suggestionId,
+        user_id: userId,
+      })
+      .whereNull('dismissed_at')
+      .update({ dismissed_at: new Date().toISOString() });
+
+    if (!updated) {
+      return res.status(404).json({
+        error: {
+          code: 'not_found',
+          message: 'Friend suggestion not found',
+        },
+      });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Dismiss friend suggestion error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to dismiss friend suggestion',
+      },
+    });
+  }
+});
+
 /**
  * @swagger
  * /friends/requests:
  *   get:
  *     summary: Get pending friend requests for the authenticated user
+ *     description: Requests expire after FRIEND_REQUEST_TTL_DAYS and are no longer listed or acceptable.
  *     tags: [Friends]
  *     security:
  *       - bearerAuth: []
@@ -270,20 +442,22 @@ router.get('/requests', requireAuth, async (req, res) => {
         .join('users as u', 'fr.sender_user_id', 'u.id')
         .select(
           'fr.id',
+          'u.id as userId',
           'u.username',
           'u.profile_image as profileImage',
-          'fr.mutual_friends as mutualFriends',
           'fr.created_at as createdAt'
         )
         .where('fr.receiver_user_id', userId)
+        .andWhere('fr.status', 'pending')
+        .andWhere('fr.created_at', '>=', getRequestExpiryCutoff())
         .orderBy('fr.created_at', 'desc');
 
       aggregated = aggregated.concat(
         incoming.map(row => ({
           id: String(row.id),
+          userId: row.userId,
           username: row.username,
           profileImage: row.profileImage,
-          mutualFriends: row.mutualFriends ?? 0,
           type: 'incoming',
           sentAt: new Date(row.createdAt).toISOString(),
           relativeTimestamp: toRelativeTime(row.createdAt),
@@ -296,20 +470,22 @@ router.get('/requests', requireAuth, async (req, res) => {
         .join('users as u', 'fr.receiver_user_id', 'u.id')
         .select(
           'fr.id',
+          'u.id as userId',
           'u.username',
           'u.profile_image as profileImage',
-          'fr.mutual_friends as mutualFriends',
           'fr.created_at as createdAt'
         )
         .where('fr.sender_user_id', userId)
+        .andWhere('fr.status', 'pending')
+        .andWhere('fr.created_at', '>=', getRequestExpiryCutoff())
         .orderBy('fr.created_at', 'desc');
 
       aggregated = aggregated.concat(
         outgoing.map(row => ({
           id: String(row.id),
+          userId: row.userId,
           username: row.username,
           profileImage: row.profileImage,
-          mutualFriends: row.mutualFriends ?? 0,
           type: 'outgoing',
           sentAt: new Date(row.createdAt).toISOString(),
           relativeTimestamp: toRelativeTime(row.createdAt),
@@ -320,7 +496,13 @@ router.get('/requests', requireAuth, async (req, res) => {
     aggregated.sort((a, b) => new Date(b.sentAt) - new Date(a.sentAt));
 
     const total = aggregated.length;
-    const paginated = aggregated.slice(offsetNum, offsetNum + limitNum);
+    const page = aggregated.slice(offsetNum, offsetNum + limitNum);
+    const mutualCounts = await getMutualFriendCounts(db, userId, page.map(item => item.userId));
+
+    const paginated = page.map(({ userId: otherUserId, ...item }) => ({
+      ...item,
+      mutualFriends: mutualCounts.get(otherUserId) ?? 0,
+    }));
 
     res.json({
       data: paginated,
@@ -346,6 +528,7 @@ router.get('/requests', requireAuth, async (req, res) => {
  * /friends/request:
  *   post:
  *     summary: Send a friend request to another user
+ *     description: If the target user has already sent the authenticated user a pending request, that request is accepted instead and the new friend is returned with `type` set to `accepted`.
  *     tags: [Friends]
  *     security:
  *       - bearerAuth: []
@@ -363,6 +546,21 @@ router.get('/requests', requireAuth, async (req, res) => {
  *                 example: "jane_doe"
  *                 description: Username of the user to send a friend request to
  *     responses:
+ *       200:
+ *         description: The target user had already sent a request, which was accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Friend'
+ *                     - type: object
+ *                       properties:
+ *                         type:
+ *                           type: string
+ *                           enum: [accepted]
  *       201:
  *         description: Friend request sent successfully
  *         content:
@@ -378,6 +576,23 @@ router.get('/requests', requireAuth, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: One of the users has blocked the other
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Daily request limit reached (`rate_limited`) or the target recently declined a request from this user (`request_cooldown`). The Retry-After header and `details.retryAfterSeconds` say when to try again.
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until another request may be sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
@@ -428,14 +643,118 @@ router.post('/request', requireAuth, async (req, res) => {
       });
     }
 
-    const existingFriendship = await db('friendships')
-      .where({
-        user_id: userId,
-        friend_user_id: targetUser.id,
-      })
-      .first();
+    if (await isBlockedBetween(db, userId, targetUser.id)) {
+      return res.status(403).json({
+        error: {
+          code: 'blocked',
+          message: 'You cannot send a friend request to this user',
+        },
+      });
+    }
+
+    // Both users are locked so that concurrent requests between them (in either direction) and
+    // against the sender's daily limit are handled one at a time
+    const outcome = await db.transaction(async trx => {
+      await trx('users')
+        .whereIn('id', [userId, targetUser.id])
+        .orderBy('id')
+        .forUpdate()
+        .select('id');
+
+      const existingFriendship = await trx('friendships')
+        .where({
+          user_id: userId,
+          friend_user_id: targetUser.id,
+        })
+        .first();
+
+      if (existingFriendship) {
+        return { error: 'already_friends' };
+      }
+
+      const existingRequest = await trx('friend_requests')
+        .where({
+          sender_user_id: userId,
+          receiver_user_id: targetUser.id,
+        })
+        .first();
+
+      const requestExpiryCutoff = getRequestExpiryCutoff();
+
+      if (
+        existingRequest
+        && existingRequest.status === 'pending'
+        && new Date(existingRequest.created_at) >= new Date(requestExpiryCutoff)
+      ) {
+        return { error: 'request_already_sent' };
+      }
+
+      const cooldownSeconds = existingRequest ? getDeclineCooldownSeconds(existingRequest) : 0;
+
+      if (cooldownSeconds > 0) {
+        return { error: 'request_cooldown', retryAfterSeconds: cooldownSeconds };
+      }
+
+      const reverseRequest = await trx('friend_requests')
+        .where({
+          sender_user_id: targetUser.id,
+          receiver_user_id: userId,
+          status: 'pending',
+        })
+        .andWhere('created_at', '>=', requestExpiryCutoff)
+        .first();
+
+      if (reverseRequest) {
+        // Both users want to be friends, so the pending request from the target is accepted instead
+        const friendshipId = await acceptFriendRequest(trx, reverseRequest.id, userId);
+
+        if (friendshipId) {
+          return { friendshipId };
+        }
+      }
+
+      const sendLimit = await checkDailySendLimit(trx, userId);
+
+      if (!sendLimit.allowed) {
+        return { error: 'rate_limited', sendLimit };
+      }
+
+      const createdAt = new Date().toISOString();
+
+      await trx('friend_request_sends').insert({
+        sender_user_id: userId,
+        created_at: createdAt,
+      });
+
+      await trx('friend_suggestions')
+        .where({ user_id: userId, suggested_user_id: targetUser.id })
+        .whereNull('dismissed_at')
+        .del();
+
+      if (existingRequest) {
+        // A previously declined or expired request is re-opened rather than duplicated
+        await trx('friend_requests')
+          .where({ id: existingRequest.id })
+          .update({
+            status: 'pending',
+            created_at: createdAt,
+            responded_at: null,
+          });
+
+        return { requestId: existingRequest.id, createdAt };
+      }
+
+      const [requestResult] = await trx('friend_requests').insert({
+        sender_user_id: userId,
+        receiver_user_id: targetUser.id,
+        status: 'pending',
+        created_at: createdAt,
+      }).returning('id');
 
-    if (existingFriendship) {
+      return { requestId: requestResult?.id ?? requestResult, createdAt };
+    });
+
+    if (outcome.error === 'already_friends') {
       return res.status(400).json({
         error: {
           code: 'already_friends',
@@ -444,14 +763,7 @@ router.post('/request', requireAuth, async (req, res) => {
       });
     }
 
-    const existingRequest = await db('friend_requests')
-      .where({
-        sender_user_id: userId,
-        receiver_user_id: targetUser.id,
-      })
-      .first();
-
-    if (existingRequest) {
+    if (outcome.error === 'request_already_sent') {
       return res.status(400).json({
         error: {
           code: 'request_already_sent',
@@ -460,39 +772,52 @@ router.post('/request', requireAuth, async (req, res) => {
       });
     }
 
-    const reverseRequest = await db('friend_requests')
-      .where({
-        sender_user_id: targetUser.id,
-        receiver_user_id: userId,
-      })
-      .first();
+    if (outcome.error === 'request_cooldown') {
+      res.set('Retry-After', String(outcome.retryAfterSeconds));
+      return res.status(429).json({
+        error: {
+          code: 'request_cooldown',
+          message: 'This user declined your last friend request; try again later',
+          details: { retryAfterSeconds: outcome.retryAfterSeconds },
+        },
+      });
+    }
 
-    if (reverseRequest) {
-      return res.status(400).json({
+    if (outcome.error === 'rate_limited') {
+      res.set('Retry-After', String(outcome.sendLimit.retryAfterSeconds));
+      return res.status(429).json({
         error: {
-          code: 'request_exists',
-          message: 'This user has already sent you a friend request',
+          code: 'rate_limited',
+          message: 'Daily friend request limit reached',
+          details: {
+            limit: outcome.sendLimit.limit,
+            retryAfterSeconds: outcome.sendLimit.retryAfterSeconds,
+          },
         },
       });
     }
 
-    const createdAt = new Date().toISOString();
+    if (outcome.friendshipId) {
+      const friend = await loadFriend(userId, outcome.friendshipId);
 
-    const [requestResult] = await db('friend_requests').insert({
-      sender_user_id: userId,
-      receiver_user_id: targetUser.id,
-      mutual_friends: 0,
-      status: 'pending',
-      created_at: createdAt,
-    }).returning('id');
-    const requestId = requestResult?.id ?? requestResult;
+      return res.json({
+        data: {
+          ...friend,
+          type: 'accepted',
+        },
+      });
+    }
+
+    const { requestId, createdAt } = outcome;
+
+    const mutualCounts = await getMutualFriendCounts(db, userId, [targetUser.id]);
 
     res.status(201).json({
       data: {
         id: String(requestId),
         username: targetUser.username,
         profileImage: targetUser.profile_image || null,
-        mutualFriends: 0,
+        mutualFriends: mutualCounts.get(targetUser.id) ?? 0,
         type: 'outgoing',
         sentAt: createdAt,
         relativeTimestamp: toRelativeTime(createdAt),
@@ -509,5 +834,1052 @@ router.post('/request', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /friends/requests/{id}/accept:
+ *   post:
+ *     summary: Accept an incoming friend request
+ *     tags: [Friends]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the incoming friend request
+ *     responses:
+ *       200:
+ *         description: Friend request accepted and friendship created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Friend'
+ *       404:
+ *         description: Pending incoming friend request not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/requests/:id/accept', requireAuth, async (req, res) => {
+  const userId = Number(req.user.id);
+  const requestId = parseInt(req.params.id, 10);
+
+  if (Number.isNaN(requestId)) {
+    return res.status(404).json({
+      error: {
+        code: 'not_found',
+        message: 'Friend request not found',
+      },
+    });
+  }
+
+  try {
+    const friendshipId = await db.transaction(trx => acceptFriendRequest(trx, requestId, userId));
+
+    if (!friendshipId) {
+      return res.status(404).json({
+        error: {
+          code: 'not_found',
+          message: 'Friend request not found',
+        },
+      });
+    }
+
+    res.json({ data: await loadFriend(userId, friendshipId) });
+  } catch (error) {
+    console.error('Accept friend request error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to accept friend request',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /friends/requests/{id}/decline:
+ *   post:
+ *     summary: Decline an incoming friend request
+ *     tags: [Friends]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the incoming friend request
+ *     responses:
+ *       204:
+ *         description: Friend request declined
+ *       404:
+ *         description: Pending incoming friend request not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/requests/:id/decline', requireAuth, async (req, res) => {
+  const userId = Number(req.user.id);
+  const requestId = parseInt(req.params.id, 10);
+
+  if (Number.isNaN(requestId)) {
+    return res.status(404).json({
+      error: {
+        code: 'not_found',
+        message: 'Friend request not found',
+      },
+    });
+  }
+
+  try {
+    const updated = await db('friend_requests')
+      .where({
+        id: requestId,
+        receiver_user_id: userId,
+        status: 'pending',
+      })
+      .update({
+        status: 'declined',
+        responded_at: new Date().toISOString(),
+      });
+
+    if (!updated) {
+      return res.status(404).json({
+        error: {
+          code: 'not_found',
+          message: 'Friend request not found',
+        },
+      });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Decline friend request error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to decline friend request',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /friends/requests/{id}:
+ *   delete:
+ *     summary: Cancel an outgoing friend request
+ *     tags: [Friends]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the outgoing friend request
+ *     responses:
+ *       204:
+ *         description: Friend request cancelled
+ *       404:
+ *         description: Pending outgoing friend request not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.delete('/requests/:id', requireAuth, async (req, res) => {
+  const userId = Number(req.user.id);
+  const requestId = parseInt(req.params.id, 10);
+
+  if (Number.isNaN(requestId)) {
+    return res.status(404).json({
+      error: {
+        code: 'not_found',
+        message: 'Friend request not found',
+      },
+    });
+  }
+
+  try {
+    const deleted = await db('friend_requests')
+      .where({
+        id: requestId,
+        sender_user_id: userId,
+        status: 'pending',
+      })
+      .del();
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: {
+          code: 'not_found',
+          message: 'Friend request not found',
+        },
+      });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Cancel friend request error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to cancel friend request',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /friends/lists:
+ *   get:
+ *     summary: Get the authenticated user's friend lists
+ *     tags: [Friends]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Maximum number of results
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of results to skip
+ *     responses:
+ *       200:
+ *         description: List of friend lists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FriendList'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/lists', requireAuth, async (req, res) => {
+  const { limit = 20, offset = 0 } = req.query;
+  const userId = Number(req.user.id);
+
+  const limitNum = Number.isNaN(Number(limit)) ? 20 : parseInt(limit, 10);
+  const offsetNum = Number.isNaN(Number(offset)) ? 0 : parseInt(offset, 10);
+
+  try {
+    const totalResult = await db('friend_lists').where({ user_id: userId }).count({ count: '*' }).first();
+    const total = Number(totalResult?.count ?? 0);
+
+    const rows = await db('friend_lists as fl')
+      .leftJoin('friend_list_members as flm', 'fl.id', 'flm.list_id')
+      .where('fl.user_id', userId)
+      .select('fl.id', 'fl.name', 'fl.created_at as createdAt')
+      .count({ memberCount: 'flm.member_user_id' })
+      .groupBy('fl.id', 'fl.name', 'fl.created_at')
+      .orderBy('fl.name', 'asc')
+      .limit(limitNum)
+      .offset(offsetNum);
+
+    res.json({
+      data: rows.map(formatFriendList),
+      pagination: {
+        total,
+        limit: limitNum,
+        offset: offsetNum,
+      },
+    });
+  } catch (error) {
+    console.error('Fetch friend lists error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to retrieve friend lists',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /friends/lists:
+ *   post:
+ *     summary: Create a friend list
+ *     tags: [Friends]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Close friends"
+ *     responses:
+ *       201:
+ *         description: Friend list created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/FriendList'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A list with this name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/lists', requireAuth, async (req, res) => {
+  const userId = Number(req.user.id);
+  const nameError = validateListName(req.body.name);
+
+  if (nameError) {
+    return res.status(400).json({
+      error: {
+        code: 'validation_error',
+        message: nameError,
+      },
+    });
+  }
+
+  const name = req.body.name.trim();
+
+  try {
+    const existing = await db('friend_lists').where({ user_id: userId, name }).first();
+
+    if (existing) {
+      return res.status(409).json({
+        error: {
+          code: 'list_name_taken',
+          message: 'You already have a list with this name',
+        },
+      });
+    }
+
+    const createdAt = new Date().toISOString();
+
+    const [result] = await db('friend_lists').insert({
+      user_id: userId,
+      name,
+      created_at: createdAt,
+    }).returning('id');
+    const listId = result?.id ?? result;
+
+    res.status(201).json({
+      data: formatFriendList({
+        id: listId,
+        name,
+        memberCount: 0,
+        createdAt,
+      }),
+    });
+  } catch (error) {
+    console.error('Create friend list error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to create friend list',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /friends/lists/{listId}:
+ *   patch:
+ *     summary: Rename a friend list
+ *     tags: [Friends]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: listId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the friend list
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Family"
+ *     responses:
+ *       200:
+ *         description: Friend list renamed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/FriendList'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Friend list not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A list with this name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.patch('/lists/:listId', requireAuth, async (req, res) => {
+  const userId = Number(req.user.id);
+  const nameError = validateListName(req.body.name);
+
+  if (nameError) {
+    return res.status(400).json({
+      error: {
+        code: 'validation_error',
+        message: nameError,
+      },
+    });
+  }
+
+  const name = req.body.name.trim();
+
+  try {
+    const list = await findOwnList(userId, req.params.listId);
+
+    if (!list) {
+      return res.status(404).json({
+        error: {
+          code: 'not_found',
+          message: 'Friend list not found',
+        },
+      });
+    }
+
+    const existing = await db('friend_lists')
+      .where({ user_id: userId, name })
+      .whereNot('id', list.id)
+      .first();
+
+    if (existing) {
+      return res.status(409).json({
+        error: {
+          code: 'list_name_taken',
+          message: 'You already have a list with this name',
+        },
+      });
+    }
+
+    await db('friend_lists').where({ id: list.id }).update({ name });
+
+    const memberCountResult = await db('friend_list_members')
+      .where({ list_id: list.id })
+      .count({ count: '*' })
+      .first();
+
+    res.json({
+      data: formatFriendList({
+        id: list.id,
+        name,
+        memberCount: memberCountResult?.count,
+        createdAt: list.created_at,
+      }),
+    });
+  } catch (error) {
+    console.error('Rename friend list error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to rename friend list',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /friends/lists/{listId}:
+ *   delete:
+ *     summary: Delete a friend list
+ *     description: Posts that were shared with the list stay visible to their author only.
+ *     tags: [Friends]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: listId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the friend list
+ *     responses:
+ *       204:
+ *         description: Friend list deleted
+ *       404:
+ *         description: Friend list not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.delete('/lists/:listId', requireAuth, async (req, res) => {
+  const userId = Number(req.user.id);
+
+  try {
+    const list = await findOwnList(userId, req.params.listId);
+
+    if (!list) {
+      return res.status(404).json({
+        error: {
+          code: 'not_found',
+          message: 'Friend list not found',
+        },
+      });
+    }
+
+    await db('friend_lists').where({ id: list.id }).del();
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Delete friend list error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to delete friend list',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /friends/lists/{listId}/members:
+ *   get:
+ *     summary: Get the members of a friend list
+ *     tags: [Friends]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: listId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the friend list
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Maximum number of results
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of results to skip
+ *     responses:
+ *       200:
+ *         description: List members
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UserSummary'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       404:
+ *         description: Friend list not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/lists/:listId/members', requireAuth, async (req, res) => {
+  const { limit = 20, offset = 0 } = req.query;
+  const userId = Number(req.user.id);
+
+  const limitNum = Number.isNaN(Number(limit)) ? 20 : parseInt(limit, 10);
+  const offsetNum = Number.isNaN(Number(offset)) ? 0 : parseInt(offset, 10);
+
+  try {
+    const list = await findOwnList(userId, req.params.listId);
+
+    if (!list) {
+      return res.status(404).json({
+        error: {
+          code: 'not_found',
+          message: 'Friend list not found',
+        },
+      });
+    }
+
+    const baseQuery = db('friend_list_members as flm')
+      .join('users as u', 'flm.member_user_id', 'u.id')
+      .where('flm.list_id', list.id);
+
+    const totalResult = await baseQuery.clone().count({ count: '*' }).first();
+    const total = Number(totalResult?.count ?? 0);
+
+    const rows = await baseQuery
+      .clone()
+      .select('u.id', 'u.username', 'u.profile_image as profileImage')
+      .orderBy('u.username', 'asc')
+      .limit(limitNum)
+      .offset(offsetNum);
+
+    const data = rows.map(row => ({
+      id: String(row.id),
+      username: row.username,
+      profileImage: row.profileImage,
+    }));
+
+    res.json({
+      data,
+      pagination: {
+        total,
+        limit: limitNum,
+        offset: offsetNum,
+      },
+    });
+  } catch (error) {
+    console.error('Fetch friend list members error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to retrieve friend list members',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /friends/lists/{listId}/members:
+ *   post:
+ *     summary: Add a friend to a friend list
+ *     tags: [Friends]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: listId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the friend list
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 example: "emma_davis"
+ *     responses:
+ *       204:
+ *         description: Friend added to the list
+ *       400:
+ *         description: Validation error or the user is not a friend
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Friend list or user not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/lists/:listId/members', requireAuth, async (req, res) => {
+  const { username } = req.body;
+  const userId = Number(req.user.id);
+
+  if (!username || username.trim().length === 0) {
+    return res.status(400).json({
+      error: {
+        code: 'validation_error',
+        message: 'Username is required',
+      },
+    });
+  }
+
+  try {
+    const list = await findOwnList(userId, req.params.listId);
+
+    if (!list) {
+      return res.status(404).json({
+        error: {
+          code: 'not_found',
+          message: 'Friend list not found',
+        },
+      });
+    }
+
+    const targetUser = await db('users').where({ username: username.trim().toLowerCase() }).first();
+
+    if (!targetUser) {
+      return res.status(404).json({
+        error: {
+          code: 'user_not_found',
+          message: 'Target user was not found',
+        },
+      });
+    }
+
+    const friendship = await db('friendships')
+      .where({ user_id: userId, friend_user_id: targetUser.id })
+      .first();
+
+    if (!friendship) {
+      return res.status(400).json({
+        error: {
+          code: 'not_friends',
+          message: 'Only friends can be added to a friend list',
+        },
+      });
+    }
+
+    await db('friend_list_members')
+      .insert({
+        list_id: list.id,
+        member_user_id: targetUser.id,
+        created_at: new Date().toISOString(),
+      })
+      .onConflict(['list_id', 'member_user_id'])
+      .ignore();
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Add friend list member error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to add friend to list',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /friends/lists/{listId}/members/{username}:
+ *   delete:
+ *     summary: Remove a friend from a friend list
+ *     tags: [Friends]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: listId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the friend list
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Username of the member to remove
+ *     responses:
+ *       204:
+ *         description: Friend removed from the list
+ *       404:
+ *         description: Friend list not found or the user is not a member
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.delete('/lists/:listId/members/:username', requireAuth, async (req, res) => {
+  const userId = Number(req.user.id);
+  const normalized = req.params.username.trim().toLowerCase();
+
+  try {
+    const list = await findOwnList(userId, req.params.listId);
+
+    if (!list) {
+      return res.status(404).json({
+        error: {
+          code: 'not_found',
+          message: 'Friend list not found',
+        },
+      });
+    }
+
+    const removed = await db('friend_list_members')
+      .where('list_id', list.id)
+      .whereIn('member_user_id', db('users').select('id').where({ username: normalized }))
+      .del();
+
+    if (!removed) {
+      return res.status(404).json({
+        error: {
+          code: 'not_found',
+          message: 'User is not a member of this list',
+        },
+      });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Remove friend list member error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to remove friend from list',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /friends/{username}/mutual:
+ *   get:
+ *     summary: Get the friends the authenticated user has in common with another user
+ *     tags: [Friends]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Username of the other user
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Maximum number of results
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of results to skip
+ *     responses:
+ *       200:
+ *         description: List of mutual friends
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UserSummary'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/:username/mutual', requireAuth, async (req, res) => {
+  const { limit = 20, offset = 0 } = req.query;
+  const userId = Number(req.user.id);
+  const normalized = req.params.username.trim().toLowerCase();
+
+  const limitNum = Number.isNaN(Number(limit)) ? 20 : parseInt(limit, 10);
+  const offsetNum = Number.isNaN(Number(offset)) ? 0 : parseInt(offset, 10);
+
+  try {
+    const targetUser = await db('users').where({ username: normalized }).first();
+
+    if (!targetUser || await isBlockedBetween(db, userId, targetUser.id)) {
+      return res.status(404).json({
+        error: {
+          code: 'user_not_found',
+          message: 'Target user was not found',
+        },
+      });
+    }
+
+    const baseQuery = mutualFriendsQuery(db, userId, targetUser.id)
+      .whereNotIn('u.id', blockedUserIdsQuery(db, userId));
+
+    const totalResult = await baseQuery.clone().count({ count: '*' }).first();
+    const total = Number(totalResult?.count ?? 0);
+
+    const rows = await baseQuery
+      .clone()
+      .select('u.id', 'u.username', 'u.profile_image as profileImage')
+      .orderBy('u.username', 'asc')
+      .limit(limitNum)
+      .offset(offsetNum);
+
+    const data = rows.map(row => ({
+      id: String(row.id),
+      username: row.username,
+      profileImage: row.profileImage,
+    }));
+
+    res.json({
+      data,
+      pagination: {
+        total,
+        limit: limitNum,
+        offset: offsetNum,
+      },
+    });
+  } catch (error) {
+    console.error('Fetch mutual friends error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to retrieve mutual friends',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /friends/{username}:
+ *   delete:
+ *     summary: Unfriend a user
+ *     description: Removes the friendship in both directions along with any pending requests and suggestions between the two users.
+ *     tags: [Friends]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Username of the friend to remove
+ *     responses:
+ *       204:
+ *         description: Friendship removed
+ *       404:
+ *         description: User not found or not a friend
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.delete('/:username', requireAuth, async (req, res) => {
+  const userId = Number(req.user.id);
+  const normalized = req.params.username.trim().toLowerCase();
+
+  try {
+    const targetUser = await db('users').where({ username: normalized }).first();
+
+    if (!targetUser) {
+      return res.status(404).json({
+        error: {
+          code: 'user_not_found',
+          message: 'Target user was not found',
+        },
+      });
+    }
+
+    const removed = await db.transaction(trx => removeFriendship(trx, userId, targetUser.id));
+
+    if (!removed) {
+      return res.status(404).json({
+        error: {
+          code: 'not_friends',
+          message: 'You are not friends with this user',
+        },
+      });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Remove friend error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to remove friend',
+      },
+    });
+  }
+});
+
 module.exports = router;
 
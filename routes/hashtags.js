@@ -0,0 +1,123 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const db = require('../db/knex');
+const { visiblePostsFilter } = require('../utils/visibility');
+const { encodeCursor, decodeCursor, cursorFilter } = require('../utils/cursors');
+const { normalizeHashtag } = require('../utils/entities');
+const { POST_COLUMNS, loadFormattedPosts } = require('../utils/posts');
+
+/**
+ * @swagger
+ * /hashtags/{tag}/posts:
+ *   get:
+ *     summary: Get the posts that use a hashtag
+ *     description: Only posts the authenticated user is allowed to see are returned, newest first. Pass `pagination.nextCursor` as `cursor` to load the next page.
+ *     tags: [Hashtags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tag
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Hashtag, with or without the leading `#` (case-insensitive)
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor returned by the previous page
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Maximum number of results
+ *     responses:
+ *       200:
+ *         description: A page of posts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Post'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/CursorPagination'
+ *       400:
+ *         description: Invalid cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/:tag/posts', requireAuth, async (req, res) => {
+  const { limit = 20, cursor } = req.query;
+  const userId = Number(req.user.id);
+  const tag = normalizeHashtag(req.params.tag.trim());
+
+  const limitNum = Number.isNaN(Number(limit)) ? 20 : Math.min(Math.max(parseInt(limit, 10), 1), 100);
+  const position = cursor === undefined ? null : decodeCursor(cursor);
+
+  if (cursor !== undefined && !position) {
+    return res.status(400).json({
+      error: {
+        code: 'validation_error',
+        message: 'Invalid cursor',
+      },
+    });
+  }
+
+  try {
+    // Fetch one extra row to find out whether another page exists
+    const query = db('posts as p')
+      .join('users as u', 'p.user_id', 'u.id')
+      .whereExists(
+        db('hashtags as h')
+          .where('h.post_id', db.ref('p.id'))
+          .whereNull('h.comment_id')
+          .andWhere('h.tag', tag)
+      )
+      .andWhere(visiblePostsFilter(db, userId))
+      .select(POST_COLUMNS)
+      .orderBy('p.created_at', 'desc')
+      .orderBy('p.id', 'desc')
+      .limit(limitNum + 1);
+
+    if (position) {
+      query.andWhere(cursorFilter('p.created_at', 'p.id', position, 'before'));
+    }
+
+    const rows = await query;
+    const hasMore = rows.length > limitNum;
+    const postRows = rows.slice(0, limitNum);
+    const lastRow = postRows[postRows.length - 1];
+
+    const data = await loadFormattedPosts(postRows, userId);
+
+    res.json({
+      data,
+      pagination: {
+        limit: limitNum,
+        nextCursor: hasMore ? encodeCursor(lastRow) : null,
+        hasMore,
+      },
+    });
+  } catch (error) {
+    console.error('Fetch hashtag posts error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to retrieve posts',
+      },
+    });
+  }
+});
+
+module.exports = router;
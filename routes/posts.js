@@ -1,8 +1,35 @@
 const express = require('express');
 const router = express.Router();
 const { requireAuth } = require('../middleware/auth');
+const { uploadAttachments } = require('../middleware/uploads');
 const db = require('../db/knex');
 const { toRelativeTime } = require('../utils/time');
+const { blockedUserIdsQuery } = require('../utils/blocks');
+const {
+  POST_COLUMNS,
+  COMMENT_COLUMNS,
+  loadFormattedThreads,
+  loadFormattedPosts,
+  loadFormattedComment,
+} = require('../utils/posts');
+const { indexEntities } = require('../utils/entities');
+const { validateAttachments, storeAttachments, removeAttachmentFiles } = require('../utils/attachments');
+const { parsePoll, createPoll, isPollClosed, loadPolls, replaceVotes } = require('../utils/polls');
+const { validatePublishAt, parsePublishOptions, publishPost } = require('../utils/publishing');
+const {
+  POST_VISIBILITIES,
+  FEED_TYPES,
+  visiblePostsFilter,
+  feedPostsFilter,
+  findVisiblePost,
+} = require('../utils/visibility');
+const { encodeCursor, decodeCursor, cursorFilter } = require('../utils/cursors');
+const {
+  REACTIONS,
+  getReactionSummary,
+  setReaction,
+  removeReaction,
+} = require('../utils/reactions');
 
 const parseLimit = value => {
   const parsed = parseInt(value, 10);
@@ -20,36 +47,83 @@ const parseOffset = value => {
   return parsed;
 };
 
-const formatComment = (comment, likeCounts, likedByUserSet) => {
-  const likes = likeCounts.get(comment.id) ?? 0;
-
-  return {
-    id: String(comment.id),
-    username: comment.username,
-    profileImage: comment.profileImage,
-    text: comment.text,
-    timestamp: new Date(comment.createdAt).toISOString(),
-    relativeTimestamp: toRelativeTime(comment.createdAt),
-    likes,
-    likedByCurrentUser: likedByUserSet.has(comment.id),
-  };
+const validatePostText = (text, { allowEmpty = false } = {}) => {
+  if (typeof text !== 'string' || (!allowEmpty && text.trim().length === 0)) {
+    return 'Post text is required';
+  }
+
+  if (text.length > 5000) {
+    return 'Post text must be 5000 characters or less';
+  }
+
+  return null;
+};
+
+const COMMENT_SORTS = ['oldest', 'newest'];
+
+// Replies can be nested this many levels below a top-level comment
+const MAX_COMMENT_DEPTH = 5;
+
+const validateCommentText = text => {
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    return 'Comment text is required';
+  }
+
+  if (text.length > 1000) {
+    return 'Comment text must be 1000 characters or less';
+  }
+
+  return null;
+};
+
+/**
+ * Find a comment on a post that `userId` can see, skipping comments by blocked users and,
+ * unless `includeDeleted` is set, deleted placeholders.
+ * Includes the post author's ID so callers can apply moderation rules.
+ */
+const findCommentOnVisiblePost = (userId, postId, commentId, { includeDeleted = false } = {}) => {
+  const query = db('comments as c')
+    .join('posts as p', 'c.post_id', 'p.id')
+    .where({
+      'c.id': commentId,
+      'c.post_id': postId,
+    })
+    .whereNotIn('c.user_id', blockedUserIdsQuery(db, userId))
+    .andWhere(visiblePostsFilter(db, userId));
+
+  if (!includeDeleted) {
+    query.whereNull('c.deleted_at');
+  }
+
+  return query.first('c.id', 'c.user_id', 'c.text', 'c.depth', 'p.user_id as postAuthorId');
 };
 
-const formatPost = (post, likeCounts, likedByUserSet, commentsByPostId, commentLikeCounts, commentLikedByUserSet) => {
-  const likes = likeCounts.get(post.id) ?? 0;
-  const comments = commentsByPostId.get(post.id) ?? [];
-
-  return {
-    id: String(post.id),
-    username: post.username,
-    profileImage: post.profileImage,
-    timestamp: new Date(post.createdAt).toISOString(),
-    relativeTimestamp: toRelativeTime(post.createdAt),
-    text: post.text,
-    likes,
-    likedByCurrentUser: likedByUserSet.has(post.id),
-    comments: comments.map(comment => formatComment(comment, commentLikeCounts, commentLikedByUserSet)),
-  };
+/**
+ * Delete a comment that has no replies, then any deleted placeholders above it that were
+ * only kept because of it. Must be called inside a transaction.
+ */
+const deleteCommentAndEmptyAncestors = async (trx, commentId) => {
+  let current = await trx('comments').where({ id: commentId }).first('id', 'parent_comment_id');
+
+  while (current) {
+    // Comment reactions are removed by ON DELETE CASCADE
+    await trx('comments').where({ id: current.id }).del();
+
+    if (!current.parent_comment_id) {
+      return;
+    }
+
+    const parent = await trx('comments')
+      .where({ id: current.parent_comment_id })
+      .whereNotNull('deleted_at')
+      .first('id', 'parent_comment_id');
+
+    const remainingReply = parent
+      ? await trx('comments').where({ parent_comment_id: parent.id }).first('id')
+      : null;
+
+    current = parent && !remainingReply ? parent : null;
+  }
 };
 
 /**
@@ -57,22 +131,46 @@ const formatPost = (post, likeCounts, likedByUserSet, commentsByPostId, commentL
  * /posts:
  *   get:
  *     summary: Get feed posts for the authenticated user
+ *     description: |
+ *       The feed contains the user's own posts, their friends' posts and public posts, newest first.
+ *       With `feed=following`, the only public posts it includes are those of accounts the user follows.
+ *
+ *       Pages are addressed with opaque cursors: pass `pagination.nextCursor` as `before` to load older posts,
+ *       or `pagination.prevCursor` as `after` to load posts created since (pull-to-refresh).
+ *       Passing `offset` instead switches to the legacy offset mode, which also returns the total count.
  *     tags: [Posts]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: feed
+ *         schema:
+ *           type: string
+ *           enum: [all, following]
+ *           default: all
+ *         description: Which public posts to include
+ *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
  *           default: 20
  *         description: Maximum number of results
  *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Cursor; return posts older than it
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: Cursor; return posts newer than it (the oldest `limit` of them)
+ *       - in: query
  *         name: offset
  *         schema:
  *           type: integer
  *           default: 0
- *         description: Number of results to skip
+ *         description: Number of results to skip (legacy offset mode, ignored when a cursor is given)
  *     responses:
  *       200:
  *         description: List of feed posts
@@ -86,133 +184,130 @@ const formatPost = (post, likeCounts, likedByUserSet, commentsByPostId, commentL
  *                   items:
  *                     $ref: '#/components/schemas/Post'
  *                 pagination:
- *                   $ref: '#/components/schemas/Pagination'
+ *                   oneOf:
+ *                     - $ref: '#/components/schemas/CursorPagination'
+ *                     - allOf:
+ *                         - $ref: '#/components/schemas/Pagination'
+ *                         - type: object
+ *                           properties:
+ *                             nextCursor:
+ *                               type: string
+ *                               nullable: true
+ *       400:
+ *         description: Invalid feed or cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
 router.get('/', requireAuth, async (req, res) => {
+  const { before, after, feed = 'all' } = req.query;
   const limitNum = parseLimit(req.query.limit ?? 20);
-  const offsetNum = parseOffset(req.query.offset ?? 0);
   const userId = Number(req.user.id);
 
-  try {
-    const totalResult = await db('posts').count({ count: '*' }).first();
-    const total = Number(totalResult?.count ?? 0);
+  if (!FEED_TYPES.includes(feed)) {
+    return res.status(400).json({
+      error: {
+        code: 'validation_error',
+        message: `Feed must be one of: ${FEED_TYPES.join(', ')}`,
+      },
+    });
+  }
 
-    const postRows = await db('posts as p')
-      .join('users as u', 'p.user_id', 'u.id')
-      .select(
-        'p.id',
-        'u.username',
-        'u.profile_image as profileImage',
-        'p.text',
-        'p.created_at as createdAt'
-      )
-      .orderBy('p.created_at', 'desc')
-      .limit(limitNum)
-      .offset(offsetNum);
-
-    const postIds = postRows.map(row => row.id);
-
-    const postLikeCounts = new Map();
-    const postLikedByUser = new Set();
-    const commentsByPostId = new Map();
-    const commentLikeCounts = new Map();
-    const commentLikedByUser = new Set();
-
-    if (postIds.length) {
-      const likesCountsRows = await db('post_likes')
-        .whereIn('post_id', postIds)
-        .select('post_id')
-        .count({ count: '*' })
-        .groupBy('post_id');
-
-      likesCountsRows.forEach(row => {
-        postLikeCounts.set(row.post_id, Number(row.count));
-      });
-
-      const likedRows = await db('post_likes')
-        .whereIn('post_id', postIds)
-        .andWhere('user_id', userId)
-        .select('post_id');
-
-      likedRows.forEach(row => {
-        postLikedByUser.add(row.post_id);
-      });
-
-      const commentRows = await db('comments as c')
-        .join('users as u', 'c.user_id', 'u.id')
-        .whereIn('c.post_id', postIds)
-        .select(
-          'c.id',
-          'c.post_id',
-          'u.username',
-          'u.profile_image as profileImage',
-          'c.text',
-          'c.created_at as createdAt'
-        )
-        .orderBy('c.created_at', 'asc');
-
-      commentRows.forEach(row => {
-        const group = commentsByPostId.get(row.post_id) || [];
-        group.push({
-          id: row.id,
-          postId: row.post_id,
-          username: row.username,
-          profileImage: row.profileImage,
-          text: row.text,
-          createdAt: row.createdAt,
-        });
-        commentsByPostId.set(row.post_id, group);
+  if (before !== undefined && after !== undefined) {
+    return res.status(400).json({
+      error: {
+        code: 'validation_error',
+        message: 'Use either before or after, not both',
+      },
+    });
+  }
+
+  const cursor = before ?? after;
+  const position = cursor === undefined ? null : decodeCursor(cursor);
+
+  if (cursor !== undefined && !position) {
+    return res.status(400).json({
+      error: {
+        code: 'validation_error',
+        message: 'Invalid cursor',
+      },
+    });
+  }
+
+  const feedQuery = () =>
+    db('posts as p')
+      .where(feedPostsFilter(db, userId, 'p', { followingOnly: feed === 'following' }))
+      .andWhere(visiblePostsFilter(db, userId));
+
+  try {
+    // Legacy offset mode for clients that predate cursors
+    if (!position && req.query.offset !== undefined) {
+      const offsetNum = parseOffset(req.query.offset);
+
+      const totalResult = await feedQuery().count({ count: '*' }).first();
+      const total = Number(totalResult?.count ?? 0);
+
+      const postRows = await feedQuery()
+        .join('users as u', 'p.user_id', 'u.id')
+        .select(POST_COLUMNS)
+        .orderBy('p.created_at', 'desc')
+        .orderBy('p.id', 'desc')
+        .limit(limitNum)
+        .offset(offsetNum);
+
+      const data = await loadFormattedPosts(postRows, userId);
+      const lastRow = postRows[postRows.length - 1];
+
+      return res.json({
+        data,
+        pagination: {
+          total,
+          limit: limitNum,
+          offset: offsetNum,
+          nextCursor: lastRow && offsetNum + postRows.length < total ? encodeCursor(lastRow) : null,
+        },
       });
+    }
 
-      const commentIds = commentRows.map(row => row.id);
+    const direction = after !== undefined ? 'after' : 'before';
+    const order = direction === 'after' ? 'asc' : 'desc';
 
-      if (commentIds.length) {
-        const commentLikesRows = await db('comment_likes')
-          .whereIn('comment_id', commentIds)
-          .select('comment_id')
-          .count({ count: '*' })
-          .groupBy('comment_id');
+    // Fetch one extra row to find out whether another page exists
+    const query = feedQuery()
+      .join('users as u', 'p.user_id', 'u.id')
+      .select(POST_COLUMNS)
+      .orderBy('p.created_at', order)
+      .orderBy('p.id', order)
+      .limit(limitNum + 1);
 
-        commentLikesRows.forEach(row => {
-          commentLikeCounts.set(row.comment_id, Number(row.count));
-        });
+    if (position) {
+      query.andWhere(cursorFilter('p.created_at', 'p.id', position, direction));
+    }
 
-        const commentLikedRows = await db('comment_likes')
-          .whereIn('comment_id', commentIds)
-          .andWhere('user_id', userId)
-          .select('comment_id');
+    const rows = await query;
+    const hasMore = rows.length > limitNum;
+    const postRows = rows.slice(0, limitNum);
 
-        commentLikedRows.forEach(row => {
-          commentLikedByUser.add(row.comment_id);
-        });
-      }
+    // Newer posts are fetched oldest first so that repeated `after` calls never skip any,
+    // but are returned newest first like every other page
+    if (direction === 'after') {
+      postRows.reverse();
     }
 
-    const data = postRows.map(row =>
-      formatPost(
-        {
-          id: row.id,
-          username: row.username,
-          profileImage: row.profileImage,
-          text: row.text,
-          createdAt: row.createdAt,
-        },
-        postLikeCounts,
-        postLikedByUser,
-        commentsByPostId,
-        commentLikeCounts,
-        commentLikedByUser
-      )
-    );
+    const data = await loadFormattedPosts(postRows, userId);
+    const firstRow = postRows[0];
+    const lastRow = postRows[postRows.length - 1];
 
     res.json({
       data,
       pagination: {
-        total,
         limit: limitNum,
-        offset: offsetNum,
+        nextCursor: lastRow && (direction === 'after' || hasMore) ? encodeCursor(lastRow) : null,
+        prevCursor: firstRow ? encodeCursor(firstRow) : after ?? null,
+        hasMore,
       },
     });
   } catch (error) {
@@ -227,59 +322,72 @@ router.get('/', requireAuth, async (req, res) => {
 });
 
 /**
- * @swagger
- * /posts:
- *   post:
- *     summary: Create a new post
- *     tags: [Posts]
- *     security:
- *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - text
- *             properties:
- *               text:
- *                 type: string
- *                 example: "Just finished a great workout! 💪"
- *     responses:
- *       201:
- *         description: Post created successfully
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Post'
- *       400:
- *         description: Validation error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *       401:
- *         $ref: '#/components/responses/UnauthorizedError'
+ * Shared handler for creating a post and sharing one, which only differ in that a share
+ * points at the post being shared and may have no text of its own.
  */
-router.post('/', requireAuth, async (req, res) => {
-  const { text } = req.body;
+const createPost = async (req, res, { share = false } = {}) => {
+  const files = req.files || [];
+  const { text = share || files.length ? '' : undefined, audienceListId } = req.body;
   const userId = Number(req.user.id);
+  const hasAudienceList = audienceListId !== undefined && audienceListId !== null;
+  const visibility = req.body.visibility ?? (hasAudienceList ? 'list' : 'public');
+
+  const textError = validatePostText(text, { allowEmpty: share || files.length > 0 });
 
-  if (!text || text.trim().length === 0) {
+  if (textError) {
     return res.status(400).json({
       error: {
         code: 'validation_error',
-        message: 'Post text is required',
+        message: textError,
       },
     });
   }
 
-  if (text.length > 5000) {
+  if (!POST_VISIBILITIES.includes(visibility)) {
+    return res.status(400).json({
+      error: {
+        code: 'validation_error',
+        message: `Visibility must be one of: ${POST_VISIBILITIES.join(', ')}`,
+      },
+    });
+  }
+
+  if ((visibility === 'list') !== hasAudienceList) {
+    return res.status(400).json({
+      error: {
+        code: 'validation_error',
+        message: 'audienceListId is required for list visibility and not allowed otherwise',
+      },
+    });
+  }
+
+  if (share && req.body.poll !== undefined) {
+    return res.status(400).json({
+      error: {
+        code: 'validation_error',
+        message: 'Shares cannot have a poll',
+      },
+    });
+  }
+
+  const { poll, error: pollError } = parsePoll(req.body.poll);
+
+  if (pollError) {
+    return res.status(400).json({
+      error: {
+        code: 'validation_error',
+        message: pollError,
+      },
+    });
+  }
+
+  const { status, publishAt, error: publishError } = parsePublishOptions(req.body);
+
+  if (publishError) {
     return res.status(400).json({
       error: {
         code: 'validation_error',
-        message: 'Post text must be 5000 characters or less',
+        message: publishError,
       },
     });
   }
@@ -299,67 +407,137 @@ router.post('/', requireAuth, async (req, res) => {
       });
     }
 
-    const [result] = await db('posts').insert({
-      user_id: userId,
-      text: trimmedText,
-      created_at: createdAt,
-    }).returning('id');
-    const postId = result?.id ?? result;
+    let sharedPostId = null;
+
+    if (share) {
+      const numericPostId = parseInt(req.params.postId, 10);
+      let original = Number.isNaN(numericPostId) ? null : await findVisiblePost(db, userId, numericPostId);
+
+      // Sharing a plain repost shares its original instead
+      if (original && original.shared_post_id && original.text === '') {
+        original = await findVisiblePost(db, userId, original.shared_post_id);
+      }
+
+      if (!original) {
+        return res.status(404).json({
+          error: {
+            code: 'not_found',
+            message: 'Post not found',
+          },
+        });
+      }
+
+      if (!trimmedText) {
+        const existingRepost = await db('posts')
+          .where({ user_id: userId, shared_post_id: original.id, text: '' })
+          .first();
+
+        if (existingRepost) {
+          return res.status(409).json({
+            error: {
+              code: 'already_shared',
+              message: 'You have already shared this post',
+              details: { postId: String(existingRepost.id) },
+            },
+          });
+        }
+      }
+
+      sharedPostId = original.id;
+    }
+
+    let audienceList = null;
+
+    if (hasAudienceList) {
+      audienceList = await db('friend_lists')
+        .where({ id: parseInt(audienceListId, 10) || 0, user_id: userId })
+        .first();
+
+      if (!audienceList) {
+        return res.status(400).json({
+          error: {
+            code: 'validation_error',
+            message: 'Audience list was not found',
+          },
+        });
+      }
+    }
+
+    const attachmentError = await validateAttachments(files);
+
+    if (attachmentError) {
+      return res.status(400).json({
+        error: {
+          code: 'validation_error',
+          message: attachmentError,
+        },
+      });
+    }
+
+    const attachmentRows = await storeAttachments(files);
+    let postId;
+
+    try {
+      postId = await db.transaction(async trx => {
+        const [result] = await trx('posts').insert({
+          user_id: userId,
+          text: trimmedText,
+          visibility,
+          audience_list_id: audienceList ? audienceList.id : null,
+          shared_post_id: sharedPostId,
+          status,
+          publish_at: publishAt,
+          created_at: createdAt,
+        }).returning('id');
+        const insertedId = result?.id ?? result;
+
+        if (attachmentRows.length) {
+          await trx('post_attachments').insert(
+            attachmentRows.map(row => ({ ...row, post_id: insertedId, created_at: createdAt }))
+          );
+        }
+
+        if (poll) {
+          await createPoll(trx, insertedId, poll);
+        }
+
+        await indexEntities(trx, { postId: insertedId, text: trimmedText, createdAt });
+
+        return insertedId;
+      });
+    } catch (error) {
+      await removeAttachmentFiles(attachmentRows);
+      throw error;
+    }
 
-    const postRow = await db('posts as p')
+    const postRows = await db('posts as p')
       .join('users as u', 'p.user_id', 'u.id')
-      .select(
-        'p.id',
-        'u.username',
-        'u.profile_image as profileImage',
-        'p.text',
-        'p.created_at as createdAt'
-      )
-      .where('p.id', postId)
-      .first();
-
-    const formatted = formatPost(
-      {
-        id: postRow.id,
-        username: postRow.username,
-        profileImage: postRow.profileImage,
-        text: postRow.text,
-        createdAt: postRow.createdAt,
-      },
-      new Map(),
-      new Set(),
-      new Map(),
-      new Map(),
-      new Set()
-    );
+      .select(POST_COLUMNS)
+      .where('p.id', postId);
+
+    const [formatted] = await loadFormattedPosts(postRows, userId);
 
     res.status(201).json(formatted);
   } catch (error) {
-    console.error('Create post error:', error);
+    console.error(share ? 'Share post error:' : 'Create post error:', error);
     res.status(500).json({
       error: {
         code: 'internal_server_error',
-        message: 'Failed to create post',
+        message: share ? 'Failed to share post' : 'Failed to create post',
       },
     });
   }
-});
+};
 
 /**
  * @swagger
- * /posts/{postId}/comments:
+ * /posts:
  *   post:
- *     summary: Add a comment to a post
+ *     summary: Create a new post
+ *     description: Send `multipart/form-data` to attach images. Attachments must be JPEG, PNG, GIF or WebP (checked from the file contents), at most POST_ATTACHMENT_MAX_COUNT files of POST_ATTACHMENT_MAX_BYTES each. They are stored without their EXIF metadata, along with a thumbnail. Drafts and scheduled posts are only visible to their author (see `GET /users/me/drafts`) until they are published, at which point their timestamp becomes the publication time.
  *     tags: [Posts]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: postId
- *         required: true
- *         schema:
- *           type: string
- *         description: ID of the post to comment on
  *     requestBody:
  *       required: true
  *       content:
@@ -371,20 +549,94 @@ router.post('/', requireAuth, async (req, res) => {
  *             properties:
  *               text:
  *                 type: string
- *                 example: "Great post!"
+ *                 example: "Just finished a great workout! 💪"
+ *               visibility:
+ *                 type: string
+ *                 enum: [public, friends, only_me, list]
+ *                 default: public
+ *                 description: Who can see the post. Defaults to `list` when `audienceListId` is given.
+ *               audienceListId:
+ *                 type: string
+ *                 description: ID of one of the author's friend lists; required for `list` visibility, only the author and the list's members will see the post
+ *                 example: "1"
+ *               poll:
+ *                 $ref: '#/components/schemas/PollInput'
+ *               draft:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Save the post as a draft instead of publishing it
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Schedule the post to be published at this future time instead of now
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 description: Optional when at least one attachment is uploaded
+ *               visibility:
+ *                 type: string
+ *                 enum: [public, friends, only_me, list]
+ *               audienceListId:
+ *                 type: string
+ *               poll:
+ *                 type: string
+ *                 description: PollInput encoded as JSON
+ *               draft:
+ *                 type: boolean
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *               attachments:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
  *     responses:
  *       201:
- *         description: Comment added successfully
+ *         description: Post created successfully
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Comment'
+ *               $ref: '#/components/schemas/Post'
  *       400:
  *         description: Validation error
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/', requireAuth, uploadAttachments, (req, res) =>
+  createPost(req, res)
+);
+
+/**
+ * @swagger
+ * /posts/{postId}:
+ *   get:
+ *     summary: Get a single post
+ *     description: Includes a preview of the latest comments; use `GET /posts/{postId}/comments` for the full thread.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the post
+ *     responses:
+ *       200:
+ *         description: The post
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Post'
  *       404:
  *         description: Post not found
  *         content:
@@ -394,30 +646,9 @@ router.post('/', requireAuth, async (req, res) => {
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.post('/:postId/comments', requireAuth, async (req, res) => {
-  const { postId } = req.params;
-  const { text } = req.body;
+router.get('/:postId', requireAuth, async (req, res) => {
   const userId = Number(req.user.id);
-
-  if (!text || text.trim().length === 0) {
-    return res.status(400).json({
-      error: {
-        code: 'validation_error',
-        message: 'Comment text is required',
-      },
-    });
-  }
-
-  if (text.length > 1000) {
-    return res.status(400).json({
-      error: {
-        code: 'validation_error',
-        message: 'Comment text must be 1000 characters or less',
-      },
-    });
-  }
-
-  const numericPostId = parseInt(postId, 10);
+  const numericPostId = parseInt(req.params.postId, 10);
 
   if (Number.isNaN(numericPostId)) {
     return res.status(404).json({
@@ -428,24 +659,19 @@ router.post('/:postId/comments', requireAuth, async (req, res) => {
     });
   }
 
-    const trimmedText = text.trim();
-    const createdAt = new Date().toISOString();
-
-    try {
-      // Verify user exists in database
-      const user = await db('users').where({ id: userId }).first();
-      if (!user) {
-        return res.status(401).json({
-          error: {
-            code: 'user_not_found',
-            message: 'User from token not found in database',
-          },
-        });
-      }
-
-      const postExists = await db('posts').where({ id: numericPostId }).first();
+  try {
+    const postRows = await db('posts as p')
+      .join('users as u', 'p.user_id', 'u.id')
+      .where('p.id', numericPostId)
+      .andWhere(builder => {
+        // Authors can also open their own drafts and scheduled posts
+        builder
+          .where(visiblePostsFilter(db, userId))
+          .orWhere(own => own.where('p.user_id', userId).whereNot('p.status', 'published'));
+      })
+      .select(POST_COLUMNS);
 
-    if (!postExists) {
+    if (!postRows.length) {
       return res.status(404).json({
         error: {
           code: 'not_found',
@@ -454,44 +680,15 @@ router.post('/:postId/comments', requireAuth, async (req, res) => {
       });
     }
 
-    const [commentResult] = await db('comments').insert({
-      post_id: numericPostId,
-      user_id: userId,
-      text: trimmedText,
-      created_at: createdAt,
-    }).returning('id');
-    const commentId = commentResult?.id ?? commentResult;
+    const [formatted] = await loadFormattedPosts(postRows, userId);
 
-    const commentRow = await db('comments as c')
-      .join('users as u', 'c.user_id', 'u.id')
-      .select(
-        'c.id',
-        'u.username',
-        'u.profile_image as profileImage',
-        'c.text',
-        'c.created_at as createdAt'
-      )
-      .where('c.id', commentId)
-      .first();
-
-    const formattedComment = {
-      id: String(commentRow.id),
-      username: commentRow.username,
-      profileImage: commentRow.profileImage,
-      text: commentRow.text,
-      timestamp: new Date(commentRow.createdAt).toISOString(),
-      relativeTimestamp: toRelativeTime(commentRow.createdAt),
-      likes: 0,
-      likedByCurrentUser: false,
-    };
-
-    res.status(201).json(formattedComment);
+    res.json(formatted);
   } catch (error) {
-    console.error('Create comment error:', error);
+    console.error('Fetch post error:', error);
     res.status(500).json({
       error: {
         code: 'internal_server_error',
-        message: 'Failed to create comment',
+        message: 'Failed to retrieve post',
       },
     });
   }
@@ -499,9 +696,10 @@ router.post('/:postId/comments', requireAuth, async (req, res) => {
 
 /**
  * @swagger
- * /posts/{postId}/like:
- *   post:
- *     summary: Toggle like on a post (like if not liked, unlike if already liked)
+ * /posts/{postId}:
+ *   patch:
+ *     summary: Edit the text of a post
+ *     description: Only the author can edit a post. The previous text of a published post is kept as a revision. Drafts and scheduled posts are edited in place and can be rescheduled with `publishAt`, in which case `text` may be left out.
  *     tags: [Posts]
  *     security:
  *       - bearerAuth: []
@@ -511,21 +709,47 @@ router.post('/:postId/comments', requireAuth, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *         description: ID of the post to like/unlike
+ *         description: ID of the post to edit
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 example: "Just finished a great workout! 💪🏋️"
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: New publication time of a draft or scheduled post; null turns it back into a draft
  *     responses:
  *       200:
- *         description: Like status toggled successfully
+ *         description: Post updated
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 liked:
- *                   type: boolean
- *                   description: Whether the post is now liked by the current user
- *                 likes:
- *                   type: number
- *                   description: Total number of likes on the post
+ *               $ref: '#/components/schemas/Post'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Only the author can edit the post
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The post was rescheduled after it had been published
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Post not found
  *         content:
@@ -535,11 +759,34 @@ router.post('/:postId/comments', requireAuth, async (req, res) => {
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.post('/:postId/like', requireAuth, async (req, res) => {
-  const { postId } = req.params;
+router.patch('/:postId', requireAuth, async (req, res) => {
+  const { text, publishAt } = req.body;
   const userId = Number(req.user.id);
+  const numericPostId = parseInt(req.params.postId, 10);
+  const reschedule = publishAt !== undefined;
 
-  const numericPostId = parseInt(postId, 10);
+  // Drafts and scheduled posts can be rescheduled without touching their text
+  const textError = text === undefined && reschedule ? null : validatePostText(text);
+
+  if (textError) {
+    return res.status(400).json({
+      error: {
+        code: 'validation_error',
+        message: textError,
+      },
+    });
+  }
+
+  const publishAtError = reschedule && publishAt !== null ? validatePublishAt(publishAt) : null;
+
+  if (publishAtError) {
+    return res.status(400).json({
+      error: {
+        code: 'validation_error',
+        message: publishAtError,
+      },
+    });
+  }
 
   if (Number.isNaN(numericPostId)) {
     return res.status(404).json({
@@ -551,67 +798,104 @@ router.post('/:postId/like', requireAuth, async (req, res) => {
   }
 
   try {
-    // Verify user exists in database
-    const user = await db('users').where({ id: userId }).first();
-    if (!user) {
-      return res.status(401).json({
+    const post = await findVisiblePost(db, userId, numericPostId, { includeUnpublished: true });
+
+    if (!post) {
+      return res.status(404).json({
         error: {
-          code: 'user_not_found',
-          message: 'User from token not found in database',
+          code: 'not_found',
+          message: 'Post not found',
+        },
+      });
+    }
+
+    if (post.user_id !== userId) {
+      return res.status(403).json({
+        error: {
+          code: 'forbidden',
+          message: 'Only the author can edit this post',
         },
       });
     }
 
-    const post = await db('posts').where({ id: numericPostId }).first();
+    const published = post.status === 'published';
 
-    if (!post) {
-      return res.status(404).json({
+    if (reschedule && published) {
+      return res.status(409).json({
         error: {
-          code: 'not_found',
-          message: 'Post not found',
+          code: 'already_published',
+          message: 'This post has already been published',
         },
       });
     }
 
-    const existing = await db('post_likes')
-      .where({
-        post_id: numericPostId,
-        user_id: userId,
-      })
-      .first();
+    const trimmedText = text === undefined ? post.text : text.trim();
 
-    let liked = false;
+    if (published && trimmedText !== post.text) {
+      await db.transaction(async trx => {
+        await trx('post_revisions').insert({
+          post_id: post.id,
+          text: post.text,
+          created_at: new Date(post.edited_at || post.created_at).toISOString(),
+        });
 
-    if (existing) {
-      await db('post_likes')
-        .where({
-          post_id: numericPostId,
-          user_id: userId,
-        })
-        .del();
-    } else {
-      await db('post_likes').insert({
-        post_id: numericPostId,
-        user_id: userId,
-        created_at: new Date().toISOString(),
+        await trx('posts')
+          .where({ id: post.id })
+          .update({
+            text: trimmedText,
+            edited_at: new Date().toISOString(),
+          });
+
+        await indexEntities(trx, { postId: post.id, text: trimmedText });
       });
-      liked = true;
     }
 
-    const countResult = await db('post_likes')
-      .where({ post_id: numericPostId })
-      .count({ count: '*' })
-      .first();
+    if (!published) {
+      // Unpublished edits are not revisions; the update fails if the scheduler got there first
+      const updated = await db.transaction(async trx => {
+        const changes = { text: trimmedText };
+
+        if (reschedule) {
+          changes.status = publishAt === null ? 'draft' : 'scheduled';
+          changes.publish_at = publishAt === null ? null : new Date(publishAt).toISOString();
+        }
+
+        const count = await trx('posts')
+          .where({ id: post.id })
+          .whereNot('status', 'published')
+          .update(changes);
+
+        if (count && trimmedText !== post.text) {
+          await indexEntities(trx, { postId: post.id, text: trimmedText });
+        }
+
+        return count > 0;
+      });
+
+      if (!updated) {
+        return res.status(409).json({
+          error: {
+            code: 'already_published',
+            message: 'This post has already been published',
+          },
+        });
+      }
+    }
+
+    const postRows = await db('posts as p')
+      .join('users as u', 'p.user_id', 'u.id')
+      .select(POST_COLUMNS)
+      .where('p.id', post.id);
 
-    const likes = Number(countResult?.count ?? 0);
+    const [formatted] = await loadFormattedPosts(postRows, userId);
 
-    res.json({ liked, likes });
+    res.json(formatted);
   } catch (error) {
-    console.error('Toggle post like error:', error);
+    console.error('Edit post error:', error);
     res.status(500).json({
       error: {
         code: 'internal_server_error',
-        message: 'Failed to toggle like',
+        message: 'Failed to edit post',
       },
     });
   }
@@ -619,9 +903,10 @@ router.post('/:postId/like', requireAuth, async (req, res) => {
 
 /**
  * @swagger
- * /posts/{postId}/comments/{commentId}/like:
- *   post:
- *     summary: Toggle like on a comment (like if not liked, unlike if already liked)
+ * /posts/{postId}:
+ *   delete:
+ *     summary: Delete a post
+ *     description: Only the author can delete a post. Its reactions, comments, revisions and attachments are deleted with it.
  *     tags: [Posts]
  *     security:
  *       - bearerAuth: []
@@ -631,29 +916,115 @@ router.post('/:postId/like', requireAuth, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *         description: ID of the post containing the comment
+ *         description: ID of the post to delete
+ *     responses:
+ *       204:
+ *         description: Post deleted
+ *       403:
+ *         description: Only the author can delete the post
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Post not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.delete('/:postId', requireAuth, async (req, res) => {
+  const userId = Number(req.user.id);
+  const numericPostId = parseInt(req.params.postId, 10);
+
+  if (Number.isNaN(numericPostId)) {
+    return res.status(404).json({
+      error: {
+        code: 'not_found',
+        message: 'Post not found',
+      },
+    });
+  }
+
+  try {
+    const post = await findVisiblePost(db, userId, numericPostId, { includeUnpublished: true });
+
+    if (!post) {
+      return res.status(404).json({
+        error: {
+          code: 'not_found',
+          message: 'Post not found',
+        },
+      });
+    }
+
+    if (post.user_id !== userId) {
+      return res.status(403).json({
+        error: {
+          code: 'forbidden',
+          message: 'Only the author can delete this post',
+        },
+      });
+    }
+
+    const attachmentRows = await db('post_attachments').where({ post_id: post.id });
+
+    // Reactions, comments (and their reactions), revisions and attachments are removed by ON DELETE CASCADE
+    await db('posts').where({ id: post.id }).del();
+
+    await removeAttachmentFiles(attachmentRows);
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Delete post error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to delete post',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /posts/{postId}/publish:
+ *   post:
+ *     summary: Publish a draft or scheduled post now
+ *     description: The post's timestamp becomes the publication time, so it shows up at the top of feeds.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
  *       - in: path
- *         name: commentId
+ *         name: postId
  *         required: true
  *         schema:
  *           type: string
- *         description: ID of the comment to like/unlike
+ *         description: ID of the draft or scheduled post
  *     responses:
  *       200:
- *         description: Like status toggled successfully
+ *         description: Post published
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 liked:
- *                   type: boolean
- *                   description: Whether the comment is now liked by the current user
- *                 likes:
- *                   type: number
- *                   description: Total number of likes on the comment
+ *               $ref: '#/components/schemas/Post'
+ *       403:
+ *         description: Only the author can publish the post
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Post or comment not found
+ *         description: Post not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The post has already been published
  *         content:
  *           application/json:
  *             schema:
@@ -661,93 +1032,1653 @@ router.post('/:postId/like', requireAuth, async (req, res) => {
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.post('/:postId/comments/:commentId/like', requireAuth, async (req, res) => {
-  const { postId, commentId } = req.params;
+router.post('/:postId/publish', requireAuth, async (req, res) => {
   const userId = Number(req.user.id);
+  const numericPostId = parseInt(req.params.postId, 10);
 
-  const numericPostId = parseInt(postId, 10);
-  const numericCommentId = parseInt(commentId, 10);
-
-  if (Number.isNaN(numericPostId) || Number.isNaN(numericCommentId)) {
+  if (Number.isNaN(numericPostId)) {
     return res.status(404).json({
       error: {
         code: 'not_found',
-        message: 'Post or comment not found',
+        message: 'Post not found',
       },
     });
   }
 
   try {
-    // Verify user exists in database
-    const user = await db('users').where({ id: userId }).first();
-    if (!user) {
-      return res.status(401).json({
+    const post = await findVisiblePost(db, userId, numericPostId, { includeUnpublished: true });
+
+    if (!post) {
+      return res.status(404).json({
         error: {
-          code: 'user_not_found',
-          message: 'User from token not found in database',
+          code: 'not_found',
+          message: 'Post not found',
         },
       });
     }
 
-    const comment = await db('comments')
-      .where({
-        id: numericCommentId,
-        post_id: numericPostId,
-      })
-      .first();
-
-    if (!comment) {
-      return res.status(404).json({
+    if (post.user_id !== userId) {
+      return res.status(403).json({
         error: {
-          code: 'not_found',
-          message: 'Post or comment not found',
+          code: 'forbidden',
+          message: 'Only the author can publish this post',
         },
       });
     }
 
-    const existing = await db('comment_likes')
-      .where({
-        comment_id: numericCommentId,
-        user_id: userId,
-      })
-      .first();
-
-    let liked = false;
+    // Also fails when the scheduler published the post since it was loaded
+    const published = post.status !== 'published' && (await db.transaction(trx => publishPost(trx, post.id)));
 
-    if (existing) {
-      await db('comment_likes')
-        .where({
-          comment_id: numericCommentId,
-          user_id: userId,
-        })
-        .del();
-    } else {
-      await db('comment_likes').insert({
-        comment_id: numericCommentId,
-        user_id: userId,
-        created_at: new Date().toISOString(),
+    if (!published) {
+      return res.status(409).json({
+        error: {
+          code: 'already_published',
+          message: 'This post has already been published',
+        },
       });
-      liked = true;
     }
 
-    const countResult = await db('comment_likes')
-      .where({ comment_id: numericCommentId })
-      .count({ count: '*' })
-      .first();
+    const postRows = await db('posts as p')
+      .join('users as u', 'p.user_id', 'u.id')
+      .select(POST_COLUMNS)
+      .where('p.id', post.id);
 
-    const likes = Number(countResult?.count ?? 0);
+    const [formatted] = await loadFormattedPosts(postRows, userId);
 
-    res.json({ liked, likes });
+    res.json(formatted);
   } catch (error) {
-    console.error('Toggle comment like error:', error);
+    console.error('Publish post error:', error);
     res.status(500).json({
       error: {
         code: 'internal_server_error',
-        message: 'Failed to toggle like',
+        message: 'Failed to publish post',
       },
     });
   }
 });
 
+/**
+ * @swagger
+ * /posts/{postId}/revisions:
+ *   get:
+ *     summary: Get the previous versions of an edited post
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the post
+ *     responses:
+ *       200:
+ *         description: Previous versions of the post text, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PostRevision'
+ *       404:
+ *         description: Post not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/:postId/revisions', requireAuth, async (req, res) => {
+  const userId = Number(req.user.id);
+  const numericPostId = parseInt(req.params.postId, 10);
+
+  if (Number.isNaN(numericPostId)) {
+    return res.status(404).json({
+      error: {
+        code: 'not_found',
+        message: 'Post not found',
+      },
+    });
+  }
+
+  try {
+    const post = await findVisiblePost(db, userId, numericPostId);
+
+    if (!post) {
+      return res.status(404).json({
+        error: {
+          code: 'not_found',
+          message: 'Post not found',
+        },
+      });
+    }
+
+    const rows = await db('post_revisions')
+      .where({ post_id: post.id })
+      .select('id', 'text', 'created_at as createdAt')
+      .orderBy('created_at', 'desc')
+      .orderBy('id', 'desc');
+
+    const data = rows.map(row => ({
+      id: String(row.id),
+      text: row.text,
+      timestamp: new Date(row.createdAt).toISOString(),
+      relativeTimestamp: toRelativeTime(row.createdAt),
+    }));
+
+    res.json({ data });
+  } catch (error) {
+    console.error('Fetch post revisions error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to retrieve post revisions',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /posts/{postId}/share:
+ *   post:
+ *     summary: Share a post
+ *     description: Creates a post of your own that embeds the original, optionally with commentary (a quote post). Only posts you can see can be shared, and the original stays hidden from viewers who are not allowed to see it. Sharing a plain repost shares its original, and each post can only be reposted once without commentary. Shares cannot have a poll.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the post to share
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 description: Optional commentary
+ *                 example: "This is so true 👇"
+ *               visibility:
+ *                 type: string
+ *                 enum: [public, friends, only_me, list]
+ *                 default: public
+ *                 description: Who can see the share. Defaults to `list` when `audienceListId` is given.
+ *               audienceListId:
+ *                 type: string
+ *                 description: ID of one of your friend lists; required for `list` visibility
+ *                 example: "1"
+ *     responses:
+ *       201:
+ *         description: Post shared
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Post'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Post not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: You have already reposted this post without commentary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/:postId/share', requireAuth, (req, res) =>
+  createPost(req, res, { share: true })
+);
+
+/**
+ * Shared handler for the comment listing endpoints: a page of the top-level comments of a post,
+ * or with `replies` set, of the direct replies to `req.params.commentId`. Each comment on the
+ * page comes with all of its replies nested below it.
+ */
+const listComments = async (req, res, { replies }) => {
+  const { sort = 'oldest', cursor } = req.query;
+  const limitNum = parseLimit(req.query.limit ?? 20);
+  const userId = Number(req.user.id);
+  const numericPostId = parseInt(req.params.postId, 10);
+  const numericCommentId = replies ? parseInt(req.params.commentId, 10) : null;
+  const notFoundMessage = replies ? 'Post or comment not found' : 'Post not found';
+
+  if (!COMMENT_SORTS.includes(sort)) {
+    return res.status(400).json({
+      error: {
+        code: 'validation_error',
+        message: `Sort must be one of: ${COMMENT_SORTS.join(', ')}`,
+      },
+    });
+  }
+
+  const position = cursor === undefined ? null : decodeCursor(cursor);
+
+  if (cursor !== undefined && !position) {
+    return res.status(400).json({
+      error: {
+        code: 'validation_error',
+        message: 'Invalid cursor',
+      },
+    });
+  }
+
+  if (Number.isNaN(numericPostId) || Number.isNaN(numericCommentId)) {
+    return res.status(404).json({
+      error: {
+        code: 'not_found',
+        message: notFoundMessage,
+      },
+    });
+  }
+
+  try {
+    const parent = replies
+      ? await findCommentOnVisiblePost(userId, numericPostId, numericCommentId, { includeDeleted: true })
+      : await findVisiblePost(db, userId, numericPostId);
+
+    if (!parent) {
+      return res.status(404).json({
+        error: {
+          code: 'not_found',
+          message: notFoundMessage,
+        },
+      });
+    }
+
+    const order = sort === 'newest' ? 'desc' : 'asc';
+
+    // Fetch one extra row to find out whether another page exists
+    const query = db('comments as c')
+      .join('users as u', 'c.user_id', 'u.id')
+      .where('c.post_id', numericPostId)
+      .whereNotIn('c.user_id', blockedUserIdsQuery(db, userId))
+      .select(COMMENT_COLUMNS)
+      .orderBy('c.created_at', order)
+      .orderBy('c.id', order)
+      .limit(limitNum + 1);
+
+    if (replies) {
+      query.andWhere('c.parent_comment_id', parent.id);
+    } else {
+      query.whereNull('c.parent_comment_id');
+    }
+
+    if (position) {
+      query.andWhere(cursorFilter('c.created_at', 'c.id', position, sort === 'newest' ? 'before' : 'after'));
+    }
+
+    const rows = await query;
+    const hasMore = rows.length > limitNum;
+    const commentRows = rows.slice(0, limitNum);
+    const lastRow = commentRows[commentRows.length - 1];
+
+    const data = await loadFormattedThreads(commentRows, userId);
+
+    res.json({
+      data,
+      pagination: {
+        limit: limitNum,
+        nextCursor: hasMore ? encodeCursor(lastRow) : null,
+        hasMore,
+      },
+    });
+  } catch (error) {
+    console.error(replies ? 'Fetch replies error:' : 'Fetch comments error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: replies ? 'Failed to retrieve replies' : 'Failed to retrieve comments',
+      },
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /posts/{postId}/comments:
+ *   get:
+ *     summary: Get the comment thread of a post
+ *     description: Pages through the top-level comments; each one includes all of its replies nested under `replies`, oldest first. Pass `pagination.nextCursor` as `cursor` to load the next page.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the post
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [oldest, newest]
+ *           default: oldest
+ *         description: Order of the comments
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor returned by the previous page
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Maximum number of results
+ *     responses:
+ *       200:
+ *         description: A page of comments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CommentThread'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/CursorPagination'
+ *       400:
+ *         description: Invalid sort or cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Post not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/:postId/comments', requireAuth, (req, res) =>
+  listComments(req, res, { replies: false })
+);
+
+/**
+ * @swagger
+ * /posts/{postId}/comments/{commentId}/replies:
+ *   get:
+ *     summary: Get the replies to a comment
+ *     description: Pages through the direct replies; each one includes its own replies nested under `replies`, oldest first. Pass `pagination.nextCursor` as `cursor` to load the next page.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the post
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the comment whose replies to load
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [oldest, newest]
+ *           default: oldest
+ *         description: Order of the replies
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor returned by the previous page
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Maximum number of results
+ *     responses:
+ *       200:
+ *         description: A page of replies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CommentThread'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/CursorPagination'
+ *       400:
+ *         description: Invalid sort or cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Post or comment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/:postId/comments/:commentId/replies', requireAuth, (req, res) =>
+  listComments(req, res, { replies: true })
+);
+
+/**
+ * @swagger
+ * /posts/{postId}/comments:
+ *   post:
+ *     summary: Add a comment to a post
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the post to comment on
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 example: "Great post!"
+ *               parentCommentId:
+ *                 type: string
+ *                 description: ID of a comment on the same post to reply to
+ *                 example: "1"
+ *     responses:
+ *       201:
+ *         description: Comment added successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Comment'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Post not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/:postId/comments', requireAuth, async (req, res) => {
+  const { postId } = req.params;
+  const { text, parentCommentId } = req.body;
+  const userId = Number(req.user.id);
+  const hasParent = parentCommentId !== undefined && parentCommentId !== null;
+
+  const textError = validateCommentText(text);
+
+  if (textError) {
+    return res.status(400).json({
+      error: {
+        code: 'validation_error',
+        message: textError,
+      },
+    });
+  }
+
+  const numericPostId = parseInt(postId, 10);
+
+  if (Number.isNaN(numericPostId)) {
+    return res.status(404).json({
+      error: {
+        code: 'not_found',
+        message: 'Post not found',
+      },
+    });
+  }
+
+    const trimmedText = text.trim();
+    const createdAt = new Date().toISOString();
+
+    try {
+      // Verify user exists in database
+      const user = await db('users').where({ id: userId }).first();
+      if (!user) {
+        return res.status(401).json({
+          error: {
+            code: 'user_not_found',
+            message: 'User from token not found in database',
+          },
+        });
+      }
+
+      const postExists = await findVisiblePost(db, userId, numericPostId);
+
+    if (!postExists) {
+      return res.status(404).json({
+        error: {
+          code: 'not_found',
+          message: 'Post not found',
+        },
+      });
+    }
+
+    let parent = null;
+
+    if (hasParent) {
+      parent = await findCommentOnVisiblePost(userId, numericPostId, parseInt(parentCommentId, 10) || 0);
+
+      if (!parent) {
+        return res.status(400).json({
+          error: {
+            code: 'validation_error',
+            message: 'Parent comment was not found on this post',
+          },
+        });
+      }
+
+      if (parent.depth + 1 > MAX_COMMENT_DEPTH) {
+        return res.status(400).json({
+          error: {
+            code: 'validation_error',
+            message: `Replies can only be nested ${MAX_COMMENT_DEPTH} levels deep`,
+          },
+        });
+      }
+    }
+
+    const commentId = await db.transaction(async trx => {
+      const [commentResult] = await trx('comments').insert({
+        post_id: numericPostId,
+        user_id: userId,
+        parent_comment_id: parent ? parent.id : null,
+        depth: parent ? parent.depth + 1 : 0,
+        text: trimmedText,
+        created_at: createdAt,
+      }).returning('id');
+      const insertedId = commentResult?.id ?? commentResult;
+
+      await indexEntities(trx, { postId: numericPostId, commentId: insertedId, text: trimmedText, createdAt });
+
+      return insertedId;
+    });
+
+    const formattedComment = await loadFormattedComment(commentId, userId);
+
+    res.status(201).json(formattedComment);
+  } catch (error) {
+    console.error('Create comment error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to create comment',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /posts/{postId}/comments/{commentId}:
+ *   patch:
+ *     summary: Edit the text of a comment
+ *     description: Only the comment author can edit a comment.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the post containing the comment
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the comment to edit
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 example: "Great post!"
+ *     responses:
+ *       200:
+ *         description: Comment updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Comment'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Only the comment author can edit the comment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Post or comment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.patch('/:postId/comments/:commentId', requireAuth, async (req, res) => {
+  const { text } = req.body;
+  const userId = Number(req.user.id);
+  const numericPostId = parseInt(req.params.postId, 10);
+  const numericCommentId = parseInt(req.params.commentId, 10);
+
+  const textError = validateCommentText(text);
+
+  if (textError) {
+    return res.status(400).json({
+      error: {
+        code: 'validation_error',
+        message: textError,
+      },
+    });
+  }
+
+  if (Number.isNaN(numericPostId) || Number.isNaN(numericCommentId)) {
+    return res.status(404).json({
+      error: {
+        code: 'not_found',
+        message: 'Post or comment not found',
+      },
+    });
+  }
+
+  try {
+    const comment = await findCommentOnVisiblePost(userId, numericPostId, numericCommentId);
+
+    if (!comment) {
+      return res.status(404).json({
+        error: {
+          code: 'not_found',
+          message: 'Post or comment not found',
+        },
+      });
+    }
+
+    if (comment.user_id !== userId) {
+      return res.status(403).json({
+        error: {
+          code: 'forbidden',
+          message: 'Only the author can edit this comment',
+        },
+      });
+    }
+
+    const trimmedText = text.trim();
+
+    if (trimmedText !== comment.text) {
+      await db.transaction(async trx => {
+        await trx('comments')
+          .where({ id: comment.id })
+          .update({
+            text: trimmedText,
+            edited_at: new Date().toISOString(),
+          });
+
+        await indexEntities(trx, { postId: numericPostId, commentId: comment.id, text: trimmedText });
+      });
+    }
+
+    const formattedComment = await loadFormattedComment(comment.id, userId);
+
+    res.json(formattedComment);
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to edit comment',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /posts/{postId}/comments/{commentId}:
+ *   delete:
+ *     summary: Delete a comment
+ *     description: The comment author can delete their comment, and the post author can delete any comment on their post. Comments that have replies are kept as a placeholder so the thread stays intact.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the post containing the comment
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the comment to delete
+ *     responses:
+ *       204:
+ *         description: Comment deleted
+ *       403:
+ *         description: Not allowed to delete the comment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Post or comment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.delete('/:postId/comments/:commentId', requireAuth, async (req, res) => {
+  const userId = Number(req.user.id);
+  const numericPostId = parseInt(req.params.postId, 10);
+  const numericCommentId = parseInt(req.params.commentId, 10);
+
+  if (Number.isNaN(numericPostId) || Number.isNaN(numericCommentId)) {
+    return res.status(404).json({
+      error: {
+        code: 'not_found',
+        message: 'Post or comment not found',
+      },
+    });
+  }
+
+  try {
+    const comment = await findCommentOnVisiblePost(userId, numericPostId, numericCommentId);
+
+    if (!comment) {
+      return res.status(404).json({
+        error: {
+          code: 'not_found',
+          message: 'Post or comment not found',
+        },
+      });
+    }
+
+    // Post authors can moderate the comments on their own posts
+    if (comment.user_id !== userId && comment.postAuthorId !== userId) {
+      return res.status(403).json({
+        error: {
+          code: 'forbidden',
+          message: 'Only the comment author or the post author can delete this comment',
+        },
+      });
+    }
+
+    const reply = await db('comments').where({ parent_comment_id: comment.id }).first('id');
+
+    if (reply) {
+      // Keep a placeholder so the replies stay attached to the thread
+      await db.transaction(async trx => {
+        await trx('comments')
+          .where({ id: comment.id })
+          .update({
+            text: '',
+            deleted_at: new Date().toISOString(),
+          });
+
+        await trx('comment_reactions').where({ comment_id: comment.id }).del();
+        await indexEntities(trx, { postId: numericPostId, commentId: comment.id, text: '' });
+      });
+    } else {
+      await db.transaction(trx => deleteCommentAndEmptyAncestors(trx, comment.id));
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to delete comment',
+      },
+    });
+  }
+});
+
+/**
+ * Shared handler for the post and comment reaction endpoints. `action` is one of:
+ * - `set`: the reaction in the body replaces any existing one
+ * - `remove`: removes the user's reaction
+ * - `like` / `unlike`: the `/like` endpoints, where any reaction counts as liked. Liking
+ *   adds a `like` reaction unless the user already reacted, unliking removes any reaction
+ * - `toggle`: the legacy `POST /like`, which unlikes when liked and likes otherwise
+ *
+ * Every action except `toggle` is idempotent, so retried requests are safe.
+ */
+const updateReaction = async (req, res, { target, action }) => {
+  const { reaction } = req.body ?? {};
+  const userId = Number(req.user.id);
+  const numericPostId = parseInt(req.params.postId, 10);
+  const numericCommentId = target === 'comment' ? parseInt(req.params.commentId, 10) : null;
+  const notFoundMessage = target === 'comment' ? 'Post or comment not found' : 'Post not found';
+
+  if (action === 'set' && !REACTIONS.includes(reaction)) {
+    return res.status(400).json({
+      error: {
+        code: 'validation_error',
+        message: `Reaction must be one of: ${REACTIONS.join(', ')}`,
+      },
+    });
+  }
+
+  if (Number.isNaN(numericPostId) || Number.isNaN(numericCommentId)) {
+    return res.status(404).json({
+      error: {
+        code: 'not_found',
+        message: notFoundMessage,
+      },
+    });
+  }
+
+  try {
+    const item =
+      target === 'comment'
+        ? await findCommentOnVisiblePost(userId, numericPostId, numericCommentId)
+        : await findVisiblePost(db, userId, numericPostId);
+
+    if (!item) {
+      return res.status(404).json({
+        error: {
+          code: 'not_found',
+          message: notFoundMessage,
+        },
+      });
+    }
+
+    if (action === 'set') {
+      await setReaction(db, target, item.id, userId, reaction);
+    } else if (action === 'like') {
+      await setReaction(db, target, item.id, userId, 'like', { replace: false });
+    } else if (action === 'remove' || action === 'unlike') {
+      await removeReaction(db, target, item.id, userId);
+    } else {
+      const removed = await removeReaction(db, target, item.id, userId);
+
+      if (!removed) {
+        await setReaction(db, target, item.id, userId, 'like');
+      }
+    }
+
+    const summary = await getReactionSummary(db, target, item.id, userId);
+
+    if (action === 'like' || action === 'unlike' || action === 'toggle') {
+      return res.json({
+        liked: summary.currentUserReaction !== null,
+        likes: summary.total,
+      });
+    }
+
+    res.json(summary);
+  } catch (error) {
+    console.error(`Update ${target} reaction error:`, error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: {
+          toggle: 'Failed to toggle like',
+          like: 'Failed to like',
+          unlike: 'Failed to unlike',
+        }[action] ?? 'Failed to update reaction',
+      },
+    });
+  }
+};
+
+/**
+ * Shared handler for adding and removing a bookmark. Both are idempotent.
+ */
+const updateBookmark = async (req, res, { bookmarked }) => {
+  const userId = Number(req.user.id);
+  const numericPostId = parseInt(req.params.postId, 10);
+
+  if (Number.isNaN(numericPostId)) {
+    return res.status(404).json({
+      error: {
+        code: 'not_found',
+        message: 'Post not found',
+      },
+    });
+  }
+
+  try {
+    const post = await findVisiblePost(db, userId, numericPostId);
+
+    if (!post) {
+      return res.status(404).json({
+        error: {
+          code: 'not_found',
+          message: 'Post not found',
+        },
+      });
+    }
+
+    if (bookmarked) {
+      await db('post_bookmarks')
+        .insert({
+          user_id: userId,
+          post_id: post.id,
+          created_at: new Date().toISOString(),
+        })
+        .onConflict(['user_id', 'post_id'])
+        .ignore();
+    } else {
+      await db('post_bookmarks').where({ user_id: userId, post_id: post.id }).del();
+    }
+
+    res.json({ bookmarked });
+  } catch (error) {
+    console.error('Update bookmark error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: bookmarked ? 'Failed to bookmark post' : 'Failed to remove bookmark',
+      },
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /posts/{postId}/reaction:
+ *   put:
+ *     summary: React to a post
+ *     description: Each user has one reaction per post; reacting again replaces it.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the post to react to
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reaction
+ *             properties:
+ *               reaction:
+ *                 type: string
+ *                 enum: [like, love, laugh, wow, sad, angry]
+ *                 example: love
+ *     responses:
+ *       200:
+ *         description: Reaction saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReactionSummary'
+ *       400:
+ *         description: Unknown reaction
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Post not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   delete:
+ *     summary: Remove your reaction from a post
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the post
+ *     responses:
+ *       200:
+ *         description: Reaction removed (or there was none)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReactionSummary'
+ *       404:
+ *         description: Post not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.put('/:postId/reaction', requireAuth, (req, res) =>
+  updateReaction(req, res, { target: 'post', action: 'set' })
+);
+
+router.delete('/:postId/reaction', requireAuth, (req, res) =>
+  updateReaction(req, res, { target: 'post', action: 'remove' })
+);
+
+/**
+ * @swagger
+ * /posts/{postId}/like:
+ *   put:
+ *     summary: Like a post
+ *     description: Idempotent. Liking a post you already reacted to keeps your existing reaction.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the post
+ *     responses:
+ *       200:
+ *         description: The post is liked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LikeState'
+ *       404:
+ *         description: Post not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   delete:
+ *     summary: Unlike a post
+ *     description: Idempotent. Removes any reaction you left on the post.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the post
+ *     responses:
+ *       200:
+ *         description: The post is not liked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LikeState'
+ *       404:
+ *         description: Post not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   post:
+ *     summary: Toggle like on a post (like if not liked, unlike if already liked)
+ *     description: Kept for older clients; prefer the idempotent PUT and DELETE. Removes any reaction you left on the post, otherwise adds a `like` reaction.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the post to like/unlike
+ *     responses:
+ *       200:
+ *         description: Like status toggled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 liked:
+ *                   type: boolean
+ *                   description: Whether the current user now has a reaction on the post
+ *                 likes:
+ *                   type: number
+ *                   description: Total number of reactions on the post
+ *       404:
+ *         description: Post not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.put('/:postId/like', requireAuth, (req, res) =>
+  updateReaction(req, res, { target: 'post', action: 'like' })
+);
+
+router.delete('/:postId/like', requireAuth, (req, res) =>
+  updateReaction(req, res, { target: 'post', action: 'unlike' })
+);
+
+router.post('/:postId/like', requireAuth, (req, res) =>
+  updateReaction(req, res, { target: 'post', action: 'toggle' })
+);
+
+/**
+ * @swagger
+ * /posts/{postId}/bookmark:
+ *   put:
+ *     summary: Bookmark a post
+ *     description: Idempotent. Bookmarking a post you already bookmarked has no effect. Bookmarks are private and listed by `GET /users/me/bookmarks`.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the post to bookmark
+ *     responses:
+ *       200:
+ *         description: Post bookmarked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BookmarkState'
+ *       404:
+ *         description: Post not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   delete:
+ *     summary: Remove a bookmark
+ *     description: Idempotent. Removing a bookmark that does not exist has no effect.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the bookmarked post
+ *     responses:
+ *       200:
+ *         description: Bookmark removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BookmarkState'
+ *       404:
+ *         description: Post not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.put('/:postId/bookmark', requireAuth, (req, res) =>
+  updateBookmark(req, res, { bookmarked: true })
+);
+
+router.delete('/:postId/bookmark', requireAuth, (req, res) =>
+  updateBookmark(req, res, { bookmarked: false })
+);
+
+/**
+ * @swagger
+ * /posts/{postId}/poll/votes:
+ *   post:
+ *     summary: Vote in a post's poll
+ *     description: Replaces any votes you already cast, so votes can be changed until the poll closes. Single choice polls take exactly one option.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the post with the poll
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - optionIds
+ *             properties:
+ *               optionIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["2"]
+ *     responses:
+ *       200:
+ *         description: Votes recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Poll'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Post not found or it has no poll
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The poll has closed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/:postId/poll/votes', requireAuth, async (req, res) => {
+  const { optionIds } = req.body ?? {};
+  const userId = Number(req.user.id);
+  const numericPostId = parseInt(req.params.postId, 10);
+
+  if (!Array.isArray(optionIds) || optionIds.length === 0) {
+    return res.status(400).json({
+      error: {
+        code: 'validation_error',
+        message: 'optionIds must be a non-empty array of option IDs',
+      },
+    });
+  }
+
+  if (Number.isNaN(numericPostId)) {
+    return res.status(404).json({
+      error: {
+        code: 'not_found',
+        message: 'Post not found',
+      },
+    });
+  }
+
+  const numericOptionIds = [...new Set(optionIds.map(optionId => parseInt(optionId, 10)))];
+
+  try {
+    const post = await findVisiblePost(db, userId, numericPostId);
+
+    if (!post) {
+      return res.status(404).json({
+        error: {
+          code: 'not_found',
+          message: 'Post not found',
+        },
+      });
+    }
+
+    const poll = await db('polls').where({ post_id: post.id }).first();
+
+    if (!poll) {
+      return res.status(404).json({
+        error: {
+          code: 'not_found',
+          message: 'Post has no poll',
+        },
+      });
+    }
+
+    if (isPollClosed(poll)) {
+      return res.status(409).json({
+        error: {
+          code: 'poll_closed',
+          message: 'This poll has closed',
+        },
+      });
+    }
+
+    if (!poll.multiple_choice && numericOptionIds.length > 1) {
+      return res.status(400).json({
+        error: {
+          code: 'validation_error',
+          message: 'This poll only allows one choice',
+        },
+      });
+    }
+
+    const options = await db('poll_options')
+      .where('poll_id', poll.id)
+      .whereIn('id', numericOptionIds.filter(optionId => !Number.isNaN(optionId)))
+      .select('id');
+
+    if (options.length !== numericOptionIds.length) {
+      return res.status(400).json({
+        error: {
+          code: 'validation_error',
+          message: 'optionIds must be options of this poll',
+        },
+      });
+    }
+
+    await replaceVotes(db, poll.id, userId, numericOptionIds);
+
+    const polls = await loadPolls(db, [post.id], userId);
+
+    res.json(polls.get(post.id));
+  } catch (error) {
+    console.error('Vote in poll error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to vote',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /posts/{postId}/comments/{commentId}/reaction:
+ *   put:
+ *     summary: React to a comment
+ *     description: Each user has one reaction per comment; reacting again replaces it.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the post containing the comment
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the comment to react to
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reaction
+ *             properties:
+ *               reaction:
+ *                 type: string
+ *                 enum: [like, love, laugh, wow, sad, angry]
+ *                 example: laugh
+ *     responses:
+ *       200:
+ *         description: Reaction saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReactionSummary'
+ *       400:
+ *         description: Unknown reaction
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Post or comment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   delete:
+ *     summary: Remove your reaction from a comment
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the post containing the comment
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the comment
+ *     responses:
+ *       200:
+ *         description: Reaction removed (or there was none)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReactionSummary'
+ *       404:
+ *         description: Post or comment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.put('/:postId/comments/:commentId/reaction', requireAuth, (req, res) =>
+  updateReaction(req, res, { target: 'comment', action: 'set' })
+);
+
+router.delete('/:postId/comments/:commentId/reaction', requireAuth, (req, res) =>
+  updateReaction(req, res, { target: 'comment', action: 'remove' })
+);
+
+/**
+ * @swagger
+ * /posts/{postId}/comments/{commentId}/like:
+ *   put:
+ *     summary: Like a comment
+ *     description: Idempotent. Liking a comment you already reacted to keeps your existing reaction.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the post containing the comment
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the comment
+ *     responses:
+ *       200:
+ *         description: The comment is liked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LikeState'
+ *       404:
+ *         description: Post or comment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   delete:
+ *     summary: Unlike a comment
+ *     description: Idempotent. Removes any reaction you left on the comment.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the post containing the comment
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the comment
+ *     responses:
+ *       200:
+ *         description: The comment is not liked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LikeState'
+ *       404:
+ *         description: Post or comment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   post:
+ *     summary: Toggle like on a comment (like if not liked, unlike if already liked)
+ *     description: Kept for older clients; prefer the idempotent PUT and DELETE. Removes any reaction you left on the comment, otherwise adds a `like` reaction.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the post containing the comment
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the comment to like/unlike
+ *     responses:
+ *       200:
+ *         description: Like status toggled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 liked:
+ *                   type: boolean
+ *                   description: Whether the current user now has a reaction on the comment
+ *                 likes:
+ *                   type: number
+ *                   description: Total number of reactions on the comment
+ *       404:
+ *         description: Post or comment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.put('/:postId/comments/:commentId/like', requireAuth, (req, res) =>
+  updateReaction(req, res, { target: 'comment', action: 'like' })
+);
+
+router.delete('/:postId/comments/:commentId/like', requireAuth, (req, res) =>
+  updateReaction(req, res, { target: 'comment', action: 'unlike' })
+);
+
+router.post('/:postId/comments/:commentId/like', requireAuth, (req, res) =>
+  updateReaction(req, res, { target: 'comment', action: 'toggle' })
+);
+
 module.exports = router;
 
@@ -0,0 +1,211 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const db = require('../db/knex');
+const { blockedUserIdsQuery } = require('../utils/blocks');
+const { visiblePostsFilter } = require('../utils/visibility');
+const { SEARCH_TYPES, parseSearchTerms, searchMatchesQuery, parseSnippet } = require('../utils/search');
+const {
+  POST_COLUMNS,
+  COMMENT_COLUMNS,
+  formatComment,
+  loadCommentStats,
+  loadFormattedPosts,
+} = require('../utils/posts');
+
+/**
+ * How each result type is searched: `query` joins the full-text matches (aliased `s`) to
+ * the rows `userId` is allowed to see, and `format` turns a page of those rows into results.
+ */
+const SEARCHES = {
+  users: {
+    query: (userId, terms) =>
+      db
+        .from(searchMatchesQuery(db, 'users', terms).as('s'))
+        .join('users as u', 'u.id', 's.id')
+        .whereNotIn('u.id', blockedUserIdsQuery(db, userId)),
+    columns: ['u.id', 'u.username', 'u.profile_image as profileImage'],
+    format: async rows =>
+      rows.map(row => ({
+        user: {
+          id: String(row.id),
+          username: row.username,
+          profileImage: row.profileImage,
+        },
+        snippet: parseSnippet(row.snippet),
+      })),
+  },
+  posts: {
+    query: (userId, terms) =>
+      db
+        .from(searchMatchesQuery(db, 'posts', terms).as('s'))
+        .join('posts as p', 'p.id', 's.id')
+        .join('users as u', 'p.user_id', 'u.id')
+        .where(visiblePostsFilter(db, userId)),
+    columns: POST_COLUMNS,
+    format: async (rows, userId) => {
+      const posts = await loadFormattedPosts(rows, userId);
+
+      return posts.map((post, index) => ({
+        post,
+        snippet: parseSnippet(rows[index].snippet),
+      }));
+    },
+  },
+  comments: {
+    query: (userId, terms) =>
+      db
+        .from(searchMatchesQuery(db, 'comments', terms).as('s'))
+        .join('comments as c', 'c.id', 's.id')
+        .join('users as u', 'c.user_id', 'u.id')
+        .join('posts as p', 'c.post_id', 'p.id')
+        .whereNull('c.deleted_at')
+        .whereNotIn('c.user_id', blockedUserIdsQuery(db, userId))
+        .andWhere(visiblePostsFilter(db, userId)),
+    columns: COMMENT_COLUMNS,
+    format: async (rows, userId) => {
+      const stats = await loadCommentStats(
+        rows.map(row => row.id),
+        userId
+      );
+
+      return rows.map(row => ({
+        comment: formatComment(row, stats),
+        postId: String(row.post_id),
+        snippet: parseSnippet(row.snippet),
+      }));
+    },
+  },
+};
+
+/**
+ * @swagger
+ * /search:
+ *   get:
+ *     summary: Search users, posts or comments
+ *     description: Full-text search ranked by relevance. Every word of the query must match, and the last word also matches as a prefix. Only content the authenticated user is allowed to see is returned; blocked users and their comments are left out.
+ *     tags: [Search]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Search query
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [users, posts, comments]
+ *           default: posts
+ *         description: What to search
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Maximum number of results
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of results to skip
+ *     responses:
+ *       200:
+ *         description: Search results, most relevant first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SearchResult'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/', requireAuth, async (req, res) => {
+  const { q, type = 'posts', limit = 20, offset = 0 } = req.query;
+  const userId = Number(req.user.id);
+
+  const limitNum = Number.isNaN(Number(limit)) ? 20 : Math.min(Math.max(parseInt(limit, 10), 1), 100);
+  const offsetNum = Number.isNaN(Number(offset)) ? 0 : Math.max(parseInt(offset, 10), 0);
+
+  if (typeof q !== 'string' || q.trim().length === 0) {
+    return res.status(400).json({
+      error: {
+        code: 'validation_error',
+        message: 'Search query is required',
+      },
+    });
+  }
+
+  if (!SEARCH_TYPES.includes(type)) {
+    return res.status(400).json({
+      error: {
+        code: 'validation_error',
+        message: `Type must be one of: ${SEARCH_TYPES.join(', ')}`,
+      },
+    });
+  }
+
+  const terms = parseSearchTerms(q);
+
+  // Nothing searchable, e.g. a query made only of punctuation
+  if (!terms.length) {
+    return res.json({
+      data: [],
+      pagination: {
+        total: 0,
+        limit: limitNum,
+        offset: offsetNum,
+      },
+    });
+  }
+
+  try {
+    const search = SEARCHES[type];
+
+    const countResult = await search.query(userId, terms).count({ count: '*' }).first();
+
+    const rows = await search
+      .query(userId, terms)
+      .select(search.columns)
+      .select('s.snippet')
+      .orderBy('s.score', 'desc')
+      .orderBy('s.id', 'desc')
+      .limit(limitNum)
+      .offset(offsetNum);
+
+    res.json({
+      data: await search.format(rows, userId),
+      pagination: {
+        total: Number(countResult?.count ?? 0),
+        limit: limitNum,
+        offset: offsetNum,
+      },
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to search',
+      },
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,1031 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const db = require('../db/knex');
+const { removeFriendship } = require('../utils/friendships');
+const { touchLastSeen } = require('../utils/presence');
+const { blockedUserIdsQuery, isBlockedBetween } = require('../utils/blocks');
+const { visiblePostsFilter } = require('../utils/visibility');
+const { encodeCursor, decodeCursor, cursorFilter } = require('../utils/cursors');
+const {
+  POST_COLUMNS,
+  COMMENT_COLUMNS,
+  formatComment,
+  loadCommentStats,
+  loadFormattedPosts,
+} = require('../utils/posts');
+
+/**
+ * Shared handler for the followers/following listings, which only differ in which
+ * side of the follows table is matched against the requested user.
+ */
+const listFollowRelations = async (req, res, { matchColumn, userColumn, errorMessage }) => {
+  const { limit = 20, offset = 0 } = req.query;
+  const userId = Number(req.user.id);
+  const normalized = req.params.username.trim().toLowerCase();
+
+  const limitNum = Number.isNaN(Number(limit)) ? 20 : parseInt(limit, 10);
+  const offsetNum = Number.isNaN(Number(offset)) ? 0 : parseInt(offset, 10);
+
+  try {
+    const targetUser = await db('users').where({ username: normalized }).first();
+
+    if (!targetUser || await isBlockedBetween(db, userId, targetUser.id)) {
+      return res.status(404).json({
+        error: {
+          code: 'user_not_found',
+          message: 'Target user was not found',
+        },
+      });
+    }
+
+    const baseQuery = db('follows as fo')
+      .join('users as u', `fo.${userColumn}`, 'u.id')
+      .where(`fo.${matchColumn}`, targetUser.id)
+      .whereNotIn('u.id', blockedUserIdsQuery(db, userId));
+
+    const totalResult = await baseQuery.clone().count({ count: '*' }).first();
+    const total = Number(totalResult?.count ?? 0);
+
+    const rows = await baseQuery
+      .clone()
+      .select('u.id', 'u.username', 'u.profile_image as profileImage', 'fo.created_at as createdAt')
+      .orderBy('fo.created_at', 'desc')
+      .limit(limitNum)
+      .offset(offsetNum);
+
+    const data = rows.map(row => ({
+      id: String(row.id),
+      username: row.username,
+      profileImage: row.profileImage,
+      followedAt: new Date(row.createdAt).toISOString(),
+    }));
+
+    res.json({
+      data,
+      pagination: {
+        total,
+        limit: limitNum,
+        offset: offsetNum,
+      },
+    });
+  } catch (error) {
+    console.error('Fetch follows error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: errorMessage,
+      },
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /users/me/heartbeat:
+ *   post:
+ *     summary: Report that the authenticated user is active
+ *     description: Clients call this periodically while open so the user stays online between other requests. Users are shown as offline once they have been idle longer than PRESENCE_IDLE_TIMEOUT_MS.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Presence updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   enum: [online]
+ *                 lastSeenAt:
+ *                   type: string
+ *                   format: date-time
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/me/heartbeat', requireAuth, async (req, res) => {
+  const userId = Number(req.user.id);
+
+  try {
+    const lastSeenAt = await touchLastSeen(userId, { force: true });
+
+    res.json({
+      status: 'online',
+      lastSeenAt,
+    });
+  } catch (error) {
+    console.error('Heartbeat error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to update presence',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /users/me/mentions:
+ *   get:
+ *     summary: Get the posts and comments that mention the authenticated user
+ *     description: Newest mentions first. Mentions in posts the user can no longer see, in deleted comments or by blocked users are left out. Pass `pagination.nextCursor` as `cursor` to load the next page.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor returned by the previous page
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Maximum number of results
+ *     responses:
+ *       200:
+ *         description: A page of mentions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Mention'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/CursorPagination'
+ *       400:
+ *         description: Invalid cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/me/mentions', requireAuth, async (req, res) => {
+  const { limit = 20, cursor } = req.query;
+  const userId = Number(req.user.id);
+
+  const limitNum = Number.isNaN(Number(limit)) ? 20 : Math.min(Math.max(parseInt(limit, 10), 1), 100);
+  const position = cursor === undefined ? null : decodeCursor(cursor);
+
+  if (cursor !== undefined && !position) {
+    return res.status(400).json({
+      error: {
+        code: 'validation_error',
+        message: 'Invalid cursor',
+      },
+    });
+  }
+
+  try {
+    // Fetch one extra row to find out whether another page exists
+    const query = db('mentions as m')
+      .join('posts as p', 'm.post_id', 'p.id')
+      .leftJoin('comments as c', 'm.comment_id', 'c.id')
+      .where('m.mentioned_user_id', userId)
+      .andWhere(visiblePostsFilter(db, userId))
+      .andWhere(comment => {
+        comment
+          .whereNull('m.comment_id')
+          .orWhere(visibleComment => {
+            visibleComment
+              .whereNull('c.deleted_at')
+              .whereNotIn('c.user_id', blockedUserIdsQuery(db, userId));
+          });
+      })
+      .select('m.id', 'm.post_id as postId', 'm.comment_id as commentId', 'm.created_at as createdAt')
+      .orderBy('m.created_at', 'desc')
+      .orderBy('m.id', 'desc')
+      .limit(limitNum + 1);
+
+    if (position) {
+      query.andWhere(cursorFilter('m.created_at', 'm.id', position, 'before'));
+    }
+
+    const rows = await query;
+    const hasMore = rows.length > limitNum;
+    const mentionRows = rows.slice(0, limitNum);
+    const lastRow = mentionRows[mentionRows.length - 1];
+
+    const postIds = [...new Set(mentionRows.map(row => row.postId))];
+    const commentIds = mentionRows.filter(row => row.commentId).map(row => row.commentId);
+
+    const postRows = postIds.length
+      ? await db('posts as p')
+          .join('users as u', 'p.user_id', 'u.id')
+          .whereIn('p.id', postIds)
+          .select(POST_COLUMNS)
+      : [];
+    const posts = new Map((await loadFormattedPosts(postRows, userId)).map(post => [post.id, post]));
+
+    const commentRows = commentIds.length
+      ? await db('comments as c')
+          .join('users as u', 'c.user_id', 'u.id')
+          .whereIn('c.id', commentIds)
+          .select(COMMENT_COLUMNS)
+      : [];
+    const commentStats = await loadCommentStats(commentIds, userId);
+    const comments = new Map(commentRows.map(row => [row.id, formatComment(row, commentStats)]));
+
+    res.json({
+      data: mentionRows.map(row => ({
+        id: String(row.id),
+        type: row.commentId ? 'comment' : 'post',
+        timestamp: new Date(row.createdAt).toISOString(),
+        post: posts.get(String(row.postId)),
+        comment: row.commentId ? comments.get(row.commentId) : null,
+      })),
+      pagination: {
+        limit: limitNum,
+        nextCursor: hasMore ? encodeCursor(lastRow) : null,
+        hasMore,
+      },
+    });
+  } catch (error) {
+    console.error('Fetch mentions error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to retrieve mentions',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /users/me/bookmarks:
+ *   get:
+ *     summary: Get the posts bookmarked by the authenticated user
+ *     description: Most recently bookmarked first. Posts you can no longer see are left out. Pass `pagination.nextCursor` as `cursor` to load the next page.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor returned by the previous page
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Maximum number of results
+ *     responses:
+ *       200:
+ *         description: A page of bookmarked posts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Post'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/CursorPagination'
+ *       400:
+ *         description: Invalid cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/me/bookmarks', requireAuth, async (req, res) => {
+  const { limit = 20, cursor } = req.query;
+  const userId = Number(req.user.id);
+
+  const limitNum = Number.isNaN(Number(limit)) ? 20 : Math.min(Math.max(parseInt(limit, 10), 1), 100);
+  const position = cursor === undefined ? null : decodeCursor(cursor);
+
+  if (cursor !== undefined && !position) {
+    return res.status(400).json({
+      error: {
+        code: 'validation_error',
+        message: 'Invalid cursor',
+      },
+    });
+  }
+
+  try {
+    // Fetch one extra row to find out whether another page exists
+    const query = db('post_bookmarks as b')
+      .join('posts as p', 'b.post_id', 'p.id')
+      .join('users as u', 'p.user_id', 'u.id')
+      .where('b.user_id', userId)
+      .andWhere(visiblePostsFilter(db, userId))
+      .select(POST_COLUMNS)
+      .select('b.created_at as bookmarkedAt')
+      .orderBy('b.created_at', 'desc')
+      .orderBy('b.post_id', 'desc')
+      .limit(limitNum + 1);
+
+    if (position) {
+      query.andWhere(cursorFilter('b.created_at', 'b.post_id', position, 'before'));
+    }
+
+    const rows = await query;
+    const hasMore = rows.length > limitNum;
+    const postRows = rows.slice(0, limitNum);
+    const lastRow = postRows[postRows.length - 1];
+
+    const data = await loadFormattedPosts(postRows, userId);
+
+    res.json({
+      data,
+      pagination: {
+        limit: limitNum,
+        nextCursor: hasMore ? encodeCursor({ createdAt: lastRow.bookmarkedAt, id: lastRow.id }) : null,
+        hasMore,
+      },
+    });
+  } catch (error) {
+    console.error('Fetch bookmarks error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to retrieve bookmarks',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /users/me/drafts:
+ *   get:
+ *     summary: Get the drafts and scheduled posts of the authenticated user
+ *     description: Most recently created first. Pass `pagination.nextCursor` as `cursor` to load the next page.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, scheduled]
+ *         description: Only return drafts or only scheduled posts
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor returned by the previous page
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Maximum number of results
+ *     responses:
+ *       200:
+ *         description: A page of unpublished posts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Post'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/CursorPagination'
+ *       400:
+ *         description: Invalid status or cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/me/drafts', requireAuth, async (req, res) => {
+  const { limit = 20, cursor, status } = req.query;
+  const userId = Number(req.user.id);
+
+  const limitNum = Number.isNaN(Number(limit)) ? 20 : Math.min(Math.max(parseInt(limit, 10), 1), 100);
+  const position = cursor === undefined ? null : decodeCursor(cursor);
+
+  if (status !== undefined && !['draft', 'scheduled'].includes(status)) {
+    return res.status(400).json({
+      error: {
+        code: 'validation_error',
+        message: 'Status must be one of: draft, scheduled',
+      },
+    });
+  }
+
+  if (cursor !== undefined && !position) {
+    return res.status(400).json({
+      error: {
+        code: 'validation_error',
+        message: 'Invalid cursor',
+      },
+    });
+  }
+
+  try {
+    // Fetch one extra row to find out whether another page exists
+    const query = db('posts as p')
+      .join('users as u', 'p.user_id', 'u.id')
+      .where('p.user_id', userId)
+      .whereNot('p.status', 'published')
+      .select(POST_COLUMNS)
+      .orderBy('p.created_at', 'desc')
+      .orderBy('p.id', 'desc')
+      .limit(limitNum + 1);
+
+    if (status) {
+      query.andWhere('p.status', status);
+    }
+
+    if (position) {
+      query.andWhere(cursorFilter('p.created_at', 'p.id', position, 'before'));
+    }
+
+    const rows = await query;
+    const hasMore = rows.length > limitNum;
+    const postRows = rows.slice(0, limitNum);
+    const lastRow = postRows[postRows.length - 1];
+
+    const data = await loadFormattedPosts(postRows, userId);
+
+    res.json({
+      data,
+      pagination: {
+        limit: limitNum,
+        nextCursor: hasMore ? encodeCursor({ createdAt: lastRow.createdAt, id: lastRow.id }) : null,
+        hasMore,
+      },
+    });
+  } catch (error) {
+    console.error('Fetch drafts error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to retrieve drafts',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /users/blocked:
+ *   get:
+ *     summary: Get the users blocked by the authenticated user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Maximum number of results
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of results to skip
+ *     responses:
+ *       200:
+ *         description: List of blocked users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BlockedUser'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/blocked', requireAuth, async (req, res) => {
+  const { limit = 20, offset = 0 } = req.query;
+  const userId = Number(req.user.id);
+
+  const limitNum = Number.isNaN(Number(limit)) ? 20 : parseInt(limit, 10);
+  const offsetNum = Number.isNaN(Number(offset)) ? 0 : parseInt(offset, 10);
+
+  try {
+    const baseQuery = db('blocks as b')
+      .join('users as u', 'b.blocked_user_id', 'u.id')
+      .where('b.blocker_user_id', userId);
+
+    const totalResult = await baseQuery.clone().count({ count: '*' }).first();
+    const total = Number(totalResult?.count ?? 0);
+
+    const rows = await baseQuery
+      .clone()
+      .select('u.id', 'u.username', 'u.profile_image as profileImage', 'b.created_at as createdAt')
+      .orderBy('b.created_at', 'desc')
+      .limit(limitNum)
+      .offset(offsetNum);
+
+    const data = rows.map(row => ({
+      id: String(row.id),
+      username: row.username,
+      profileImage: row.profileImage,
+      blockedAt: new Date(row.createdAt).toISOString(),
+    }));
+
+    res.json({
+      data,
+      pagination: {
+        total,
+        limit: limitNum,
+        offset: offsetNum,
+      },
+    });
+  } catch (error) {
+    console.error('Fetch blocked users error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to retrieve blocked users',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /users/{username}/block:
+ *   post:
+ *     summary: Block a user
+ *     description: Removes any friendship, follows, pending friend requests and suggestions between the two users. Blocked users cannot send friend requests, and their posts and comments are hidden in both directions.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Username of the user to block
+ *     responses:
+ *       204:
+ *         description: User blocked
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/:username/block', requireAuth, async (req, res) => {
+  const userId = Number(req.user.id);
+  const normalized = req.params.username.trim().toLowerCase();
+
+  if (normalized === req.user.username) {
+    return res.status(400).json({
+      error: {
+        code: 'validation_error',
+        message: 'Cannot block yourself',
+      },
+    });
+  }
+
+  try {
+    const targetUser = await db('users').where({ username: normalized }).first();
+
+    if (!targetUser) {
+      return res.status(404).json({
+        error: {
+          code: 'user_not_found',
+          message: 'Target user was not found',
+        },
+      });
+    }
+
+    await db.transaction(async trx => {
+      await trx('blocks')
+        .insert({
+          blocker_user_id: userId,
+          blocked_user_id: targetUser.id,
+          created_at: new Date().toISOString(),
+        })
+        .onConflict(['blocker_user_id', 'blocked_user_id'])
+        .ignore();
+
+      await removeFriendship(trx, userId, targetUser.id);
+
+      // Declined requests are kept so blocking and unblocking does not reset their cooldown
+      await trx('friend_requests')
+        .where('status', 'pending')
+        .andWhere(builder => {
+          builder
+            .where({ sender_user_id: userId, receiver_user_id: targetUser.id })
+            .orWhere({ sender_user_id: targetUser.id, receiver_user_id: userId });
+        })
+        .del();
+
+      await trx('follows')
+        .where({ follower_user_id: userId, followee_user_id: targetUser.id })
+        .orWhere({ follower_user_id: targetUser.id, followee_user_id: userId })
+        .del();
+
+      await trx('friend_suggestions')
+        .where({ user_id: userId, suggested_user_id: targetUser.id })
+        .orWhere({ user_id: targetUser.id, suggested_user_id: userId })
+        .del();
+    });
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to block user',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /users/{username}/block:
+ *   delete:
+ *     summary: Unblock a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Username of the user to unblock
+ *     responses:
+ *       204:
+ *         description: User unblocked
+ *       404:
+ *         description: User not found or not blocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.delete('/:username/block', requireAuth, async (req, res) => {
+  const userId = Number(req.user.id);
+  const normalized = req.params.username.trim().toLowerCase();
+
+  try {
+    const targetUser = await db('users').where({ username: normalized }).first();
+
+    if (!targetUser) {
+      return res.status(404).json({
+        error: {
+          code: 'user_not_found',
+          message: 'Target user was not found',
+        },
+      });
+    }
+
+    const removed = await db('blocks')
+      .where({
+        blocker_user_id: userId,
+        blocked_user_id: targetUser.id,
+      })
+      .del();
+
+    if (!removed) {
+      return res.status(404).json({
+        error: {
+          code: 'not_blocked',
+          message: 'You have not blocked this user',
+        },
+      });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to unblock user',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /users/{username}/follow:
+ *   post:
+ *     summary: Follow a user
+ *     description: Following does not need the other user's consent. The public posts of followed accounts appear in the follower's feed.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Username of the user to follow
+ *     responses:
+ *       204:
+ *         description: User followed
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: One of the users has blocked the other
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/:username/follow', requireAuth, async (req, res) => {
+  const userId = Number(req.user.id);
+  const normalized = req.params.username.trim().toLowerCase();
+
+  if (normalized === req.user.username) {
+    return res.status(400).json({
+      error: {
+        code: 'validation_error',
+        message: 'Cannot follow yourself',
+      },
+    });
+  }
+
+  try {
+    const targetUser = await db('users').where({ username: normalized }).first();
+
+    if (!targetUser) {
+      return res.status(404).json({
+        error: {
+          code: 'user_not_found',
+          message: 'Target user was not found',
+        },
+      });
+    }
+
+    if (await isBlockedBetween(db, userId, targetUser.id)) {
+      return res.status(403).json({
+        error: {
+          code: 'blocked',
+          message: 'You cannot follow this user',
+        },
+      });
+    }
+
+    await db('follows')
+      .insert({
+        follower_user_id: userId,
+        followee_user_id: targetUser.id,
+        created_at: new Date().toISOString(),
+      })
+      .onConflict(['follower_user_id', 'followee_user_id'])
+      .ignore();
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Follow user error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to follow user',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /users/{username}/follow:
+ *   delete:
+ *     summary: Unfollow a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Username of the user to unfollow
+ *     responses:
+ *       204:
+ *         description: User unfollowed
+ *       404:
+ *         description: User not found or not followed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.delete('/:username/follow', requireAuth, async (req, res) => {
+  const userId = Number(req.user.id);
+  const normalized = req.params.username.trim().toLowerCase();
+
+  try {
+    const targetUser = await db('users').where({ username: normalized }).first();
+
+    if (!targetUser) {
+      return res.status(404).json({
+        error: {
+          code: 'user_not_found',
+          message: 'Target user was not found',
+        },
+      });
+    }
+
+    const removed = await db('follows')
+      .where({
+        follower_user_id: userId,
+        followee_user_id: targetUser.id,
+      })
+      .del();
+
+    if (!removed) {
+      return res.status(404).json({
+        error: {
+          code: 'not_following',
+          message: 'You are not following this user',
+        },
+      });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Unfollow user error:', error);
+    res.status(500).json({
+      error: {
+        code: 'internal_server_error',
+        message: 'Failed to unfollow user',
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /users/{username}/followers:
+ *   get:
+ *     summary: Get the accounts following a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Username of the user
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Maximum number of results
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of results to skip
+ *     responses:
+ *       200:
+ *         description: List of followers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FollowRelation'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/:username/followers', requireAuth, (req, res) =>
+  listFollowRelations(req, res, {
+    matchColumn: 'followee_user_id',
+    userColumn: 'follower_user_id',
+    errorMessage: 'Failed to retrieve followers',
+  })
+);
+
+/**
+ * @swagger
+ * /users/{username}/following:
+ *   get:
+ *     summary: Get the accounts a user follows
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Username of the user
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Maximum number of results
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of results to skip
+ *     responses:
+ *       200:
+ *         description: List of followed accounts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FollowRelation'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/:username/following', requireAuth, (req, res) =>
+  listFollowRelations(req, res, {
+    matchColumn: 'follower_user_id',
+    userColumn: 'followee_user_id',
+    errorMessage: 'Failed to retrieve followed accounts',
+  })
+);
+
+module.exports = router;
@@ -1,10 +1,14 @@
 const bcrypt = require('bcrypt');
+const { refreshSuggestions } = require('../utils/suggestions');
+const { indexEntities } = require('../utils/entities');
 
-const HOURS = 60 * 60 * 1000;
+const MINUTES = 60 * 1000;
+const HOURS = 60 * MINUTES;
 const DAYS = 24 * HOURS;
 
 const now = Date.now();
 
+const minutesAgo = minutes => new Date(now - minutes * MINUTES).toISOString();
 const hoursAgo = hours => new Date(now - hours * HOURS).toISOString();
 const daysAgo = days => new Date(now - days * DAYS).toISOString();
 
@@ -12,10 +16,23 @@ const daysAgo = days => new Date(now - days * DAYS).toISOString();
  * @param {import('knex')} knex
  */
 exports.seed = async function seed(knex) {
-  await knex('comment_likes').del();
+  await knex('mentions').del();
+  await knex('hashtags').del();
+  await knex('comment_reactions').del();
   await knex('comments').del();
-  await knex('post_likes').del();
+  await knex('post_revisions').del();
+  await knex('post_attachments').del();
+  await knex('post_bookmarks').del();
+  await knex('poll_votes').del();
+  await knex('poll_options').del();
+  await knex('polls').del();
+  await knex('post_reactions').del();
   await knex('posts').del();
+  await knex('friend_list_members').del();
+  await knex('friend_lists').del();
+  await knex('follows').del();
+  await knex('blocks').del();
+  await knex('friend_request_sends').del();
   await knex('friend_requests').del();
   await knex('friend_suggestions').del();
   await knex('friendships').del();
@@ -24,23 +41,23 @@ exports.seed = async function seed(knex) {
   const hashedPassword = await bcrypt.hash('password', 10);
 
   const usersSeed = [
-    { username: 'alex', profile_image: '👨', status: 'online', password_hash: hashedPassword },
-    { username: 'sarah', profile_image: '👩', status: 'online', password_hash: hashedPassword },
-    { username: 'alex_johnson', profile_image: '👨', status: 'online' },
-    { username: 'sarah_chen', profile_image: '👩', status: 'online' },
-    { username: 'mike_williams', profile_image: '👨', status: 'offline' },
-    { username: 'emma_davis', profile_image: '👩', status: 'online' },
-    { username: 'david_brown', profile_image: '👨', status: 'offline' },
-    { username: 'lisa_anderson', profile_image: '👩', status: 'online' },
-    { username: 'james_wilson', profile_image: '👨', status: 'online' },
-    { username: 'olivia_martinez', profile_image: '👩', status: 'online' },
-    { username: 'ryan_taylor', profile_image: '👨', status: 'online' },
-    { username: 'sophia_lee', profile_image: '👩', status: 'online' },
-    { username: 'chris_miller', profile_image: '👨', status: 'online' },
-    { username: 'amanda_white', profile_image: '👩', status: 'online' },
-    { username: 'benjamin_clark', profile_image: '👨', status: 'online' },
-    { username: 'natalie_kim', profile_image: '👩', status: 'online' },
-    { username: 'thomas_moore', profile_image: '👨', status: 'online' },
+    { username: 'alex', profile_image: '👨', last_seen_at: minutesAgo(1), password_hash: hashedPassword },
+    { username: 'sarah', profile_image: '👩', last_seen_at: minutesAgo(1), password_hash: hashedPassword },
+    { username: 'alex_johnson', profile_image: '👨', last_seen_at: minutesAgo(1) },
+    { username: 'sarah_chen', profile_image: '👩', last_seen_at: minutesAgo(1) },
+    { username: 'mike_williams', profile_image: '👨', last_seen_at: daysAgo(1) },
+    { username: 'emma_davis', profile_image: '👩', last_seen_at: minutesAgo(1) },
+    { username: 'david_brown', profile_image: '👨', last_seen_at: daysAgo(1) },
+    { username: 'lisa_anderson', profile_image: '👩', last_seen_at: minutesAgo(1) },
+    { username: 'james_wilson', profile_image: '👨', last_seen_at: minutesAgo(1) },
+    { username: 'olivia_martinez', profile_image: '👩', last_seen_at: minutesAgo(1) },
+    { username: 'ryan_taylor', profile_image: '👨', last_seen_at: minutesAgo(1) },
+    { username: 'sophia_lee', profile_image: '👩', last_seen_at: minutesAgo(1) },
+    { username: 'chris_miller', profile_image: '👨', last_seen_at: minutesAgo(1) },
+    { username: 'amanda_white', profile_image: '👩', last_seen_at: minutesAgo(1) },
+    { username: 'benjamin_clark', profile_image: '👨', last_seen_at: minutesAgo(1) },
+    { username: 'natalie_kim', profile_image: '👩', last_seen_at: minutesAgo(1) },
+    { username: 'thomas_moore', profile_image: '👨', last_seen_at: minutesAgo(1) },
   ];
 
   await knex('users').insert(usersSeed);
@@ -53,61 +70,53 @@ exports.seed = async function seed(knex) {
 
   const friendshipsSeed = [
     // Alex's friends
-    { user: 'alex', friend: 'alex_johnson', status: 'online', mutualFriends: 5 },
-    { user: 'alex', friend: 'sarah_chen', status: 'online', mutualFriends: 8 },
-    { user: 'alex', friend: 'mike_williams', status: 'offline', mutualFriends: 3 },
-    { user: 'alex', friend: 'emma_davis', status: 'online', mutualFriends: 12 },
-    { user: 'alex', friend: 'david_brown', status: 'offline', mutualFriends: 7 },
+    { user: 'alex', friend: 'alex_johnson' },
+    { user: 'alex', friend: 'sarah_chen' },
+    { user: 'alex', friend: 'mike_williams' },
+    { user: 'alex', friend: 'emma_davis' },
+    { user: 'alex', friend: 'david_brown' },
     // Sarah's friends
-    { user: 'sarah', friend: 'alex_johnson', status: 'online', mutualFriends: 8 },
-    { user: 'sarah', friend: 'emma_davis', status: 'online', mutualFriends: 12 },
-    { user: 'sarah', friend: 'david_brown', status: 'offline', mutualFriends: 9 },
+    { user: 'sarah', friend: 'alex_johnson' },
+    { user: 'sarah', friend: 'emma_davis' },
+    { user: 'sarah', friend: 'david_brown' },
+    // Friends of friends, so suggestions and mutual counts have something to work with
+    { user: 'alex_johnson', friend: 'lisa_anderson' },
+    { user: 'sarah_chen', friend: 'lisa_anderson' },
+    { user: 'emma_davis', friend: 'lisa_anderson' },
+    { user: 'alex_johnson', friend: 'james_wilson' },
+    { user: 'emma_davis', friend: 'james_wilson' },
+    { user: 'emma_davis', friend: 'ryan_taylor' },
+    { user: 'david_brown', friend: 'ryan_taylor' },
+    { user: 'mike_williams', friend: 'olivia_martinez' },
+    { user: 'david_brown', friend: 'sophia_lee' },
   ];
 
   if (friendshipsSeed.length) {
+    // Friendships are stored in both directions
     await knex('friendships').insert(
-      friendshipsSeed.map(item => ({
-        user_id: userIdByUsername[item.user],
-        friend_user_id: userIdByUsername[item.friend],
-        status: item.status,
-        mutual_friends: item.mutualFriends,
-        created_at: hoursAgo(2),
-      }))
-    );
-  }
-
-  const friendSuggestionsSeed = [
-    // Alex
-    { user: 'alex', suggested: 'lisa_anderson', mutualFriends: 4 },
-    { user: 'alex', suggested: 'james_wilson', mutualFriends: 6 },
-    { user: 'alex', suggested: 'olivia_martinez', mutualFriends: 2 },
-    { user: 'alex', suggested: 'ryan_taylor', mutualFriends: 9 },
-    { user: 'alex', suggested: 'sophia_lee', mutualFriends: 5 },
-    // Sarah
-    { user: 'sarah', suggested: 'mike_williams', mutualFriends: 3 },
-    { user: 'sarah', suggested: 'lisa_anderson', mutualFriends: 7 },
-    { user: 'sarah', suggested: 'james_wilson', mutualFriends: 5 },
-  ];
-
-  if (friendSuggestionsSeed.length) {
-    await knex('friend_suggestions').insert(
-      friendSuggestionsSeed.map(item => ({
-        user_id: userIdByUsername[item.user],
-        suggested_user_id: userIdByUsername[item.suggested],
-        mutual_friends: item.mutualFriends,
-        created_at: hoursAgo(1),
-      }))
+      friendshipsSeed.flatMap(item => [
+        {
+          user_id: userIdByUsername[item.user],
+          friend_user_id: userIdByUsername[item.friend],
+          created_at: hoursAgo(2),
+        },
+        {
+          user_id: userIdByUsername[item.friend],
+          friend_user_id: userIdByUsername[item.user],
+          created_at: hoursAgo(2),
+        },
+      ])
     );
   }
 
   const friendRequestsSeed = [
-    { sender: 'chris_miller', receiver: 'alex', mutualFriends: 3, sentAt: hoursAgo(2) },
-    { sender: 'amanda_white', receiver: 'alex', mutualFriends: 7, sentAt: hoursAgo(5) },
-    { sender: 'alex', receiver: 'benjamin_clark', mutualFriends: 4, sentAt: daysAgo(1) },
-    { sender: 'natalie_kim', receiver: 'alex', mutualFriends: 2, sentAt: daysAgo(3) },
-    { sender: 'alex', receiver: 'thomas_moore', mutualFriends: 6, sentAt: daysAgo(2) },
-    { sender: 'ryan_taylor', receiver: 'sarah', mutualFriends: 4, sentAt: hoursAgo(1) },
-    { sender: 'sarah', receiver: 'sophia_lee', mutualFriends: 6, sentAt: hoursAgo(12) },
+    { sender: 'chris_miller', receiver: 'alex', sentAt: hoursAgo(2) },
+    { sender: 'amanda_white', receiver: 'alex', sentAt: hoursAgo(5) },
+    { sender: 'alex', receiver: 'benjamin_clark', sentAt: daysAgo(1) },
+    { sender: 'natalie_kim', receiver: 'alex', sentAt: daysAgo(3) },
+    { sender: 'alex', receiver: 'thomas_moore', sentAt: daysAgo(2) },
+    { sender: 'ryan_taylor', receiver: 'sarah', sentAt: hoursAgo(1) },
+    { sender: 'sarah', receiver: 'sophia_lee', sentAt: hoursAgo(12) },
   ];
 
   if (friendRequestsSeed.length) {
@@ -115,18 +124,37 @@ exports.seed = async function seed(knex) {
       friendRequestsSeed.map(item => ({
         sender_user_id: userIdByUsername[item.sender],
         receiver_user_id: userIdByUsername[item.receiver],
-        mutual_friends: item.mutualFriends,
         status: 'pending',
         created_at: item.sentAt,
       }))
     );
   }
 
+  const followsSeed = [
+    { follower: 'sarah', followee: 'sarah_chen' },
+    { follower: 'alex', followee: 'lisa_anderson' },
+  ];
+
+  if (followsSeed.length) {
+    await knex('follows').insert(
+      followsSeed.map(item => ({
+        follower_user_id: userIdByUsername[item.follower],
+        followee_user_id: userIdByUsername[item.followee],
+        created_at: daysAgo(1),
+      }))
+    );
+  }
+
+  // Suggestions are generated from the friendship graph once requests are in place
+  for (const user of users) {
+    await refreshSuggestions(knex, user.id);
+  }
+
   const postsSeed = [
     {
       key: 'p1',
       author: 'alex_johnson',
-      text: 'Just finished a great workout! 💪',
+      text: 'Just finished a great workout! 💪 #fitness',
       createdAt: hoursAgo(1),
       likedBy: ['sarah', 'mike_williams', 'emma_davis'],
       comments: [
@@ -149,7 +177,7 @@ exports.seed = async function seed(knex) {
     {
       key: 'p2',
       author: 'sarah_chen',
-      text: 'Beautiful sunset today 🌅',
+      text: 'Beautiful sunset today 🌅 #nofilter',
       createdAt: hoursAgo(3),
       likedBy: ['alex', 'emma_davis', 'david_brown'],
       comments: [
@@ -166,6 +194,7 @@ exports.seed = async function seed(knex) {
       key: 'p3',
       author: 'emma_davis',
       text: 'New recipe turned out amazing! 🍰',
+      visibility: 'friends',
       createdAt: hoursAgo(5),
       likedBy: ['alex', 'sarah', 'david_brown'],
       comments: [],
@@ -174,6 +203,7 @@ exports.seed = async function seed(knex) {
       key: 'p4',
       author: 'sarah_chen',
       text: 'Exploring the city with friends 🏙️',
+      visibility: 'friends',
       createdAt: hoursAgo(2),
       likedBy: ['alex', 'emma_davis', 'david_brown'],
       comments: [
@@ -186,8 +216,9 @@ exports.seed = async function seed(knex) {
         },
         {
           key: 'c5',
+          parentKey: 'c4',
           author: 'alex_johnson',
-          text: 'Next time invite me!',
+          text: '@emma_davis next time invite me!',
           createdAt: hoursAgo(0.5),
           likedBy: ['sarah', 'emma_davis', 'david_brown'],
         },
@@ -204,42 +235,53 @@ exports.seed = async function seed(knex) {
   ];
 
   const postIdByKey = {};
-  const commentIdByKey = {};
+  const commentByKey = {};
 
   for (const post of postsSeed) {
     const [postId] = await knex('posts').insert({
       user_id: userIdByUsername[post.author],
       text: post.text,
+      visibility: post.visibility || 'public',
       created_at: post.createdAt,
     });
 
     postIdByKey[post.key] = postId;
 
+    await indexEntities(knex, { postId, text: post.text, createdAt: post.createdAt });
+
     if (post.likedBy && post.likedBy.length) {
-      await knex('post_likes').insert(
+      await knex('post_reactions').insert(
         post.likedBy.map(username => ({
           post_id: postId,
           user_id: userIdByUsername[username],
+          reaction: 'like',
           created_at: hoursAgo(0.1),
         }))
       );
     }
 
     for (const comment of post.comments || []) {
+      const parent = comment.parentKey ? commentByKey[comment.parentKey] : null;
+
       const [commentId] = await knex('comments').insert({
         post_id: postId,
         user_id: userIdByUsername[comment.author],
+        parent_comment_id: parent ? parent.id : null,
+        depth: parent ? parent.depth + 1 : 0,
         text: comment.text,
         created_at: comment.createdAt,
       });
 
-      commentIdByKey[comment.key] = commentId;
+      commentByKey[comment.key] = { id: commentId, depth: parent ? parent.depth + 1 : 0 };
+
+      await indexEntities(knex, { postId, commentId, text: comment.text, createdAt: comment.createdAt });
 
       if (comment.likedBy && comment.likedBy.length) {
-        await knex('comment_likes').insert(
+        await knex('comment_reactions').insert(
           comment.likedBy.map(username => ({
             comment_id: commentId,
             user_id: userIdByUsername[username],
+            reaction: 'like',
             created_at: hoursAgo(0.05),
           }))
         );
@@ -7,6 +7,13 @@ const swaggerSpec = require('./swagger');
 const authRoutes = require('./routes/auth');
 const friendsRoutes = require('./routes/friends');
 const postsRoutes = require('./routes/posts');
+const usersRoutes = require('./routes/users');
+const hashtagsRoutes = require('./routes/hashtags');
+const searchRoutes = require('./routes/search');
+const { getStorage } = require('./utils/storage');
+const { startSuggestionRefreshJob } = require('./jobs/suggestions');
+const { startFriendRequestCleanupJob } = require('./jobs/friendRequests');
+const { startScheduledPostPublishJob } = require('./jobs/scheduledPosts');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -27,6 +34,12 @@ app.get('/openapi.json', (req, res) => {
   res.send(swaggerSpec);
 });
 
+// Uploaded files, when they are stored on the local filesystem
+const storage = getStorage();
+if (storage.directory) {
+  app.use(storage.urlPath, express.static(storage.directory));
+}
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
@@ -36,6 +49,9 @@ app.get('/health', (req, res) => {
 app.use('/auth', authRoutes);
 app.use('/friends', friendsRoutes);
 app.use('/posts', postsRoutes);
+app.use('/users', usersRoutes);
+app.use('/hashtags', hashtagsRoutes);
+app.use('/search', searchRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -63,6 +79,10 @@ app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
   console.log(`Swagger UI available at http://localhost:${PORT}/docs`);
   console.log(`OpenAPI JSON available at http://localhost:${PORT}/openapi.json`);
+
+  startSuggestionRefreshJob();
+  startFriendRequestCleanupJob();
+  startScheduledPostPublishJob();
 });
 
 module.exports = app;
@@ -82,8 +82,16 @@ const options = {
             status: {
               type: 'string',
               enum: ['online', 'offline'],
+              description: 'Live presence derived from lastSeenAt',
               example: 'online',
             },
+            lastSeenAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'ISO 8601 timestamp of the last authenticated activity',
+              example: '2024-01-15T11:58:00.000Z',
+            },
             mutualFriends: {
               type: 'number',
               example: 5,
@@ -114,6 +122,99 @@ const options = {
           },
           required: ['id', 'username', 'profileImage', 'mutualFriends'],
         },
+        UserSummary: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              example: '3',
+            },
+            username: {
+              type: 'string',
+              example: 'emma_davis',
+            },
+            profileImage: {
+              type: 'string',
+              description: 'Emoji or URL',
+              example: '👩',
+            },
+          },
+          required: ['id', 'username', 'profileImage'],
+        },
+        FriendList: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              example: '1',
+            },
+            name: {
+              type: 'string',
+              example: 'Close friends',
+            },
+            memberCount: {
+              type: 'number',
+              example: 4,
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'ISO 8601 timestamp',
+              example: '2024-01-15T10:00:00.000Z',
+            },
+          },
+          required: ['id', 'name', 'memberCount', 'createdAt'],
+        },
+        FollowRelation: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              example: '5',
+            },
+            username: {
+              type: 'string',
+              example: 'sarah_chen',
+            },
+            profileImage: {
+              type: 'string',
+              description: 'Emoji or URL',
+              example: '👩',
+            },
+            followedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'ISO 8601 timestamp',
+              example: '2024-01-15T10:00:00.000Z',
+            },
+          },
+          required: ['id', 'username', 'profileImage', 'followedAt'],
+        },
+        BlockedUser: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              example: '9',
+            },
+            username: {
+              type: 'string',
+              example: 'chris_miller',
+            },
+            profileImage: {
+              type: 'string',
+              description: 'Emoji or URL',
+              example: '👨',
+            },
+            blockedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'ISO 8601 timestamp',
+              example: '2024-01-15T10:00:00.000Z',
+            },
+          },
+          required: ['id', 'username', 'profileImage', 'blockedAt'],
+        },
         PendingRequest: {
           type: 'object',
           properties: {
@@ -160,17 +261,33 @@ const options = {
               type: 'string',
               example: 'c1',
             },
+            parentCommentId: {
+              type: 'string',
+              nullable: true,
+              description: 'ID of the comment this is a reply to, or null for top-level comments',
+              example: null,
+            },
+            depth: {
+              type: 'number',
+              description: '0 for top-level comments, increasing by one per level of replies',
+              example: 0,
+            },
             username: {
               type: 'string',
+              nullable: true,
+              description: 'Null for deleted comments',
               example: 'sarah_chen',
             },
             profileImage: {
               type: 'string',
-              description: 'Emoji or URL',
+              nullable: true,
+              description: 'Emoji or URL; null for deleted comments',
               example: '👩',
             },
             text: {
               type: 'string',
+              nullable: true,
+              description: 'Null for deleted comments',
               example: 'Nice work!',
             },
             timestamp: {
@@ -184,18 +301,65 @@ const options = {
               description: 'Human-readable relative time',
               example: '30m ago',
             },
+            edited: {
+              type: 'boolean',
+              description: 'Whether the comment has been edited since it was posted',
+              example: false,
+            },
+            deleted: {
+              type: 'boolean',
+              description: 'Whether this is a placeholder for a deleted comment that still has replies',
+              example: false,
+            },
+            entities: {
+              $ref: '#/components/schemas/Entities',
+            },
             likes: {
               type: 'number',
+              description: 'Total number of reactions of any kind (kept for older clients)',
               example: 2,
             },
             likedByCurrentUser: {
               type: 'boolean',
-              description: 'Whether the current authenticated user has liked this comment',
+              description: 'Whether the current authenticated user has reacted to this comment (kept for older clients)',
               example: false,
             },
+            reactions: {
+              $ref: '#/components/schemas/ReactionCounts',
+            },
+            currentUserReaction: {
+              type: 'string',
+              nullable: true,
+              enum: ['like', 'love', 'laugh', 'wow', 'sad', 'angry', null],
+              description: "The current authenticated user's reaction, or null",
+              example: null,
+            },
+            replyCount: {
+              type: 'number',
+              description: 'Number of direct replies',
+              example: 1,
+            },
           },
           required: ['id', 'username', 'profileImage', 'text', 'timestamp'],
         },
+        CommentThread: {
+          allOf: [
+            { $ref: '#/components/schemas/Comment' },
+            {
+              type: 'object',
+              properties: {
+                replies: {
+                  type: 'array',
+                  description: 'All replies to the comment, oldest first, each with its own replies',
+                  items: {
+                    $ref: '#/components/schemas/CommentThread',
+                  },
+                },
+              },
+              required: ['replies'],
+            },
+          ],
+        },
         Post: {
           type: 'object',
           properties: {
@@ -227,17 +391,96 @@ const options = {
               type: 'string',
               example: 'Just finished a great workout! 💪',
             },
+            editedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'ISO 8601 timestamp of the last edit, or null if never edited',
+              example: null,
+            },
+            visibility: {
+              type: 'string',
+              enum: ['public', 'friends', 'only_me', 'list'],
+              description: 'Who can see the post',
+              example: 'public',
+            },
+            audienceListId: {
+              type: 'string',
+              nullable: true,
+              description: 'Friend list the post is restricted to, or null when it is not restricted to a list',
+              example: null,
+            },
+            status: {
+              type: 'string',
+              enum: ['published', 'draft', 'scheduled'],
+              description: 'Drafts and scheduled posts are only visible to their author',
+              example: 'published',
+            },
+            publishAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When a scheduled post will be published, or null for other posts',
+              example: null,
+            },
+            attachments: {
+              type: 'array',
+              description: 'Attached images, in upload order',
+              items: {
+                $ref: '#/components/schemas/Attachment',
+              },
+            },
+            poll: {
+              allOf: [{ $ref: '#/components/schemas/Poll' }],
+              nullable: true,
+              description: 'Poll attached to the post, or null',
+            },
+            entities: {
+              $ref: '#/components/schemas/Entities',
+            },
             likes: {
               type: 'number',
+              description: 'Total number of reactions of any kind (kept for older clients)',
               example: 12,
             },
             likedByCurrentUser: {
               type: 'boolean',
-              description: 'Whether the current authenticated user has liked this post',
+              description: 'Whether the current authenticated user has reacted to this post (kept for older clients)',
+              example: false,
+            },
+            reactions: {
+              $ref: '#/components/schemas/ReactionCounts',
+            },
+            currentUserReaction: {
+              type: 'string',
+              nullable: true,
+              enum: ['like', 'love', 'laugh', 'wow', 'sad', 'angry', null],
+              description: "The current authenticated user's reaction, or null",
+              example: null,
+            },
+            bookmarkedByCurrentUser: {
+              type: 'boolean',
+              description: 'Whether the current authenticated user has bookmarked this post',
               example: false,
             },
+            commentCount: {
+              type: 'number',
+              description: 'Total number of comments on the post',
+              example: 8,
+            },
+            shareCount: {
+              type: 'number',
+              description: 'Number of times the post has been shared',
+              example: 2,
+            },
+            sharedPost: {
+              allOf: [{ $ref: '#/components/schemas/SharedPost' }],
+              nullable: true,
+              description: 'The original post when this post is a share, otherwise null',
+            },
             comments: {
               type: 'array',
+              description: 'The latest few comments, oldest first',
               items: {
                 $ref: '#/components/schemas/Comment',
               },
@@ -245,6 +488,393 @@ const options = {
           },
           required: ['id', 'username', 'profileImage', 'timestamp', 'text'],
         },
+        SharedPost: {
+          type: 'object',
+          description: 'Original of a share. When available it has the fields of Post except `comments` and `sharedPost`; it is unavailable when the original was deleted or you are not allowed to see it',
+          properties: {
+            available: {
+              type: 'boolean',
+              example: true,
+            },
+          },
+          additionalProperties: true,
+          required: ['available'],
+        },
+        PollInput: {
+          type: 'object',
+          required: ['options'],
+          properties: {
+            options: {
+              type: 'array',
+              minItems: 2,
+              maxItems: 10,
+              items: {
+                type: 'string',
+                maxLength: 100,
+              },
+              example: ['Pizza', 'Tacos', 'Sushi'],
+            },
+            multipleChoice: {
+              type: 'boolean',
+              default: false,
+              description: 'Whether voters may pick more than one option',
+            },
+            hideResultsUntilVoted: {
+              type: 'boolean',
+              default: false,
+              description: 'Hide the tallies from other users until they have voted or the poll has closed',
+            },
+            closesAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When voting ends; the poll stays open when omitted',
+              example: '2024-01-22T12:00:00.000Z',
+            },
+          },
+        },
+        Poll: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              example: '1',
+            },
+            multipleChoice: {
+              type: 'boolean',
+              example: false,
+            },
+            hideResultsUntilVoted: {
+              type: 'boolean',
+              example: false,
+            },
+            closesAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              example: '2024-01-22T12:00:00.000Z',
+            },
+            closed: {
+              type: 'boolean',
+              example: false,
+            },
+            resultsVisible: {
+              type: 'boolean',
+              description: 'False while the tallies are hidden from the current user until they vote',
+              example: true,
+            },
+            totalVoters: {
+              type: 'number',
+              nullable: true,
+              description: 'Number of users who voted; null while results are hidden',
+              example: 12,
+            },
+            options: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string', example: '2' },
+                  text: { type: 'string', example: 'Tacos' },
+                  votes: {
+                    type: 'number',
+                    nullable: true,
+                    description: 'Null while results are hidden',
+                    example: 5,
+                  },
+                },
+                required: ['id', 'text', 'votes'],
+              },
+            },
+            currentUserVotes: {
+              type: 'array',
+              description: 'IDs of the options the current user voted for',
+              items: {
+                type: 'string',
+              },
+              example: ['2'],
+            },
+          },
+          required: ['id', 'multipleChoice', 'closed', 'resultsVisible', 'options', 'currentUserVotes'],
+        },
+        Attachment: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              example: '1',
+            },
+            type: {
+              type: 'string',
+              enum: ['image'],
+              example: 'image',
+            },
+            mimeType: {
+              type: 'string',
+              enum: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+              example: 'image/jpeg',
+            },
+            url: {
+              type: 'string',
+              description: 'URL of the full-size image',
+              example: '/uploads/posts/3f2b8c1e-5d4a-4e7b-9c2d-1a6f0e8b7c3d.jpg',
+            },
+            width: {
+              type: 'number',
+              example: 1600,
+            },
+            height: {
+              type: 'number',
+              example: 1200,
+            },
+            size: {
+              type: 'number',
+              description: 'Size of the stored image in bytes',
+              example: 245760,
+            },
+            thumbnail: {
+              type: 'object',
+              description: 'WebP thumbnail that fits in 320x320',
+              properties: {
+                url: {
+                  type: 'string',
+                  example: '/uploads/posts/3f2b8c1e-5d4a-4e7b-9c2d-1a6f0e8b7c3d_thumb.webp',
+                },
+                width: {
+                  type: 'number',
+                  example: 320,
+                },
+                height: {
+                  type: 'number',
+                  example: 240,
+                },
+              },
+              required: ['url', 'width', 'height'],
+            },
+          },
+          required: ['id', 'type', 'mimeType', 'url', 'width', 'height', 'thumbnail'],
+        },
+        Entities: {
+          type: 'object',
+          description: 'Hashtags and mentions found in the text. Offsets are UTF-16 code unit indexes into `text`, with `end` exclusive',
+          properties: {
+            hashtags: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  tag: {
+                    type: 'string',
+                    description: 'Lowercase tag without the leading #',
+                    example: 'fitness',
+                  },
+                  start: { type: 'number', example: 34 },
+                  end: { type: 'number', example: 42 },
+                },
+                required: ['tag', 'start', 'end'],
+              },
+            },
+            mentions: {
+              type: 'array',
+              description: 'Mentions of existing users; unknown usernames are not included',
+              items: {
+                type: 'object',
+                properties: {
+                  username: { type: 'string', example: 'emma_davis' },
+                  userId: { type: 'string', example: '6' },
+                  start: { type: 'number', example: 0 },
+                  end: { type: 'number', example: 11 },
+                },
+                required: ['username', 'userId', 'start', 'end'],
+              },
+            },
+          },
+          required: ['hashtags', 'mentions'],
+        },
+        Mention: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              example: '1',
+            },
+            type: {
+              type: 'string',
+              enum: ['post', 'comment'],
+              description: 'Whether the user was mentioned in the post itself or in one of its comments',
+              example: 'comment',
+            },
+            timestamp: {
+              type: 'string',
+              format: 'date-time',
+              description: 'ISO 8601 timestamp of when the mention was made',
+              example: '2024-01-15T11:30:00.000Z',
+            },
+            post: {
+              $ref: '#/components/schemas/Post',
+            },
+            comment: {
+              allOf: [{ $ref: '#/components/schemas/Comment' }],
+              nullable: true,
+              description: 'The comment containing the mention, or null for mentions in the post',
+            },
+          },
+          required: ['id', 'type', 'timestamp', 'post', 'comment'],
+        },
+        SearchResult: {
+          type: 'object',
+          description: 'Has `user`, `post` or `comment` (with `postId`) depending on the searched type',
+          properties: {
+            user: {
+              $ref: '#/components/schemas/UserSummary',
+            },
+            post: {
+              $ref: '#/components/schemas/Post',
+            },
+            comment: {
+              $ref: '#/components/schemas/Comment',
+            },
+            postId: {
+              type: 'string',
+              description: 'ID of the post the comment belongs to (comment results only)',
+              example: '4',
+            },
+            snippet: {
+              type: 'object',
+              description: 'Excerpt around the match. Highlight offsets are UTF-16 code unit indexes into `text`, with `end` exclusive',
+              properties: {
+                text: {
+                  type: 'string',
+                  example: 'Just finished a great workout! 💪 #fitness',
+                },
+                highlights: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      start: { type: 'number', example: 23 },
+                      end: { type: 'number', example: 30 },
+                    },
+                    required: ['start', 'end'],
+                  },
+                },
+              },
+              required: ['text', 'highlights'],
+            },
+          },
+          required: ['snippet'],
+        },
+        ReactionCounts: {
+          type: 'object',
+          description: 'Number of each reaction',
+          properties: {
+            like: { type: 'number', example: 8 },
+            love: { type: 'number', example: 3 },
+            laugh: { type: 'number', example: 1 },
+            wow: { type: 'number', example: 0 },
+            sad: { type: 'number', example: 0 },
+            angry: { type: 'number', example: 0 },
+          },
+        },
+        ReactionSummary: {
+          type: 'object',
+          properties: {
+            reactions: {
+              $ref: '#/components/schemas/ReactionCounts',
+            },
+            total: {
+              type: 'number',
+              description: 'Total number of reactions',
+              example: 12,
+            },
+            currentUserReaction: {
+              type: 'string',
+              nullable: true,
+              enum: ['like', 'love', 'laugh', 'wow', 'sad', 'angry', null],
+              example: 'love',
+            },
+          },
+          required: ['reactions', 'total', 'currentUserReaction'],
+        },
+        LikeState: {
+          type: 'object',
+          properties: {
+            liked: {
+              type: 'boolean',
+              description: 'Whether the current user now has a reaction on the post or comment',
+              example: true,
+            },
+            likes: {
+              type: 'number',
+              description: 'Total number of reactions',
+              example: 12,
+            },
+          },
+          required: ['liked', 'likes'],
+        },
+        BookmarkState: {
+          type: 'object',
+          properties: {
+            bookmarked: {
+              type: 'boolean',
+              description: 'Whether the current user now has the post bookmarked',
+              example: true,
+            },
+          },
+          required: ['bookmarked'],
+        },
+        PostRevision: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              example: '1',
+            },
+            text: {
+              type: 'string',
+              example: 'Just finished a great workout!',
+            },
+            timestamp: {
+              type: 'string',
+              format: 'date-time',
+              description: 'ISO 8601 timestamp of when this version was written',
+              example: '2024-01-15T11:00:00.000Z',
+            },
+            relativeTimestamp: {
+              type: 'string',
+              description: 'Human-readable relative time',
+              example: '1h ago',
+            },
+          },
+          required: ['id', 'text', 'timestamp'],
+        },
+        CursorPagination: {
+          type: 'object',
+          properties: {
+            limit: {
+              type: 'number',
+              example: 20,
+            },
+            nextCursor: {
+              type: 'string',
+              nullable: true,
+              description: 'Pass as `before` (feed) or `cursor` (other lists) to load the next page; null when there are none',
+              example: 'eyJ0IjoiMjAyNC0wMS0xNVQxMDowMDowMC4wMDBaIiwiaWQiOjF9',
+            },
+            prevCursor: {
+              type: 'string',
+              nullable: true,
+              description: 'Pass as `after` to load items created since this page (feed only)',
+              example: 'eyJ0IjoiMjAyNC0wMS0xNVQxMjowMDowMC4wMDBaIiwiaWQiOjV9',
+            },
+            hasMore: {
+              type: 'boolean',
+              description: 'Whether more items exist in the requested direction',
+              example: true,
+            },
+          },
+          required: ['limit', 'nextCursor', 'hasMore'],
+        },
         Pagination: {
           type: 'object',
           properties: {
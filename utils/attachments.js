@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+
+/**
+ * Image attachments on posts. Uploads are checked by their magic bytes rather than the
+ * client-supplied content type, re-encoded without metadata (which strips EXIF, including
+ * GPS data) and stored with a thumbnail through the storage driver.
+ */
+
+const MAX_ATTACHMENTS = Number(process.env.POST_ATTACHMENT_MAX_COUNT) || 4;
+const MAX_ATTACHMENT_BYTES = Number(process.env.POST_ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024;
+
+// Thumbnails fit inside a square of this size
+const THUMBNAIL_SIZE = 320;
+
+const IMAGE_TYPES = [
+  {
+    mimeType: 'image/jpeg',
+    extension: 'jpg',
+    matches: buffer => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+  },
+  {
+    mimeType: 'image/png',
+    extension: 'png',
+    matches: buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    mimeType: 'image/gif',
+    extension: 'gif',
+    matches: buffer => ['GIF87a', 'GIF89a'].includes(buffer.subarray(0, 6).toString('latin1')),
+  },
+  {
+    mimeType: 'image/webp',
+    extension: 'webp',
+    matches: buffer =>
+      buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP',
+  },
+];
+
+/**
+ * @param {Buffer} buffer
+ * @returns {{ mimeType: string, extension: string } | null} The image type, or null when it is not a supported image
+ */
+const detectImageType = buffer => IMAGE_TYPES.find(type => type.matches(buffer)) || null;
+
+/**
+ * Check that every upload is a supported image that can be decoded.
+ *
+ * @param {{ buffer: Buffer, originalname: string }[]} files - Files parsed by multer
+ * @returns {Promise<string | null>} An error message, or null when all files are valid
+ */
+const validateAttachments = async files => {
+  for (const file of files) {
+    if (!detectImageType(file.buffer)) {
+      return `${file.originalname} is not a JPEG, PNG, GIF or WebP image`;
+    }
+
+    try {
+      await sharp(file.buffer).metadata();
+    } catch (error) {
+      return `${file.originalname} could not be read as an image`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Re-encode an image in its own format. Metadata is dropped by sharp unless asked to keep
+ * it, so EXIF orientation is applied to the pixels first.
+ *
+ * @param {Buffer} buffer
+ * @param {{ mimeType: string }} type
+ * @returns {Promise<{ data: Buffer, width: number, height: number }>}
+ */
+const encodeImage = async (buffer, type) => {
+  const animated = type.mimeType === 'image/gif' || type.mimeType === 'image/webp';
+  let image = sharp(buffer, { animated });
+
+  if (!animated) {
+    image = image.rotate();
+  }
+
+  const { data, info } = await image.toFormat(type.extension === 'jpg' ? 'jpeg' : type.extension).toBuffer({
+    resolveWithObject: true,
+  });
+
+  return { data, width: info.width, height: info.pageHeight || info.height };
+};
+
+/**
+ * @param {Buffer} buffer
+ * @returns {Promise<{ data: Buffer, width: number, height: number }>} A WebP thumbnail of the first frame
+ */
+const createThumbnail = async buffer => {
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp()
+    .toBuffer({ resolveWithObject: true });
+
+  return { data, width: info.width, height: info.height };
+};
+
+/**
+ * Clean and store images that passed `validateAttachments`. Nothing is left in storage
+ * when any of them fails.
+ *
+ * @param {{ buffer: Buffer }[]} files - Files parsed by multer
+ * @returns {Promise<object[]>} `post_attachments` rows without `post_id`, in upload order
+ */
+const storeAttachments = async files => {
+  const storage = getStorage();
+  const rows = [];
+
+  try {
+    for (const [position, file] of files.entries()) {
+      const type = detectImageType(file.buffer);
+      const image = await encodeImage(file.buffer, type);
+      const thumbnail = await createThumbnail(file.buffer);
+
+      const name = `posts/${crypto.randomUUID()}`;
+      const row = {
+        position,
+        storage_key: `${name}.${type.extension}`,
+        thumbnail_key: `${name}_thumb.webp`,
+        mime_type: type.mimeType,
+        size_bytes: image.data.length,
+        width: image.width,
+        height: image.height,
+        thumbnail_width: thumbnail.width,
+        thumbnail_height: thumbnail.height,
+      };
+
+      rows.push(row);
+      await storage.save(row.storage_key, image.data, type.mimeType);
+      await storage.save(row.thumbnail_key, thumbnail.data, 'image/webp');
+    }
+  } catch (error) {
+    await removeAttachmentFiles(rows);
+    throw error;
+  }
+
+  return rows;
+};
+
+/**
+ * Delete the stored files of attachment rows. Failures are logged rather than thrown, since
+ * the rows they belonged to are already gone.
+ *
+ * @param {{ storage_key: string, thumbnail_key: string }[]} rows
+ * @returns {Promise<void>}
+ */
+const removeAttachmentFiles = async rows => {
+  const storage = getStorage();
+  const keys = rows.flatMap(row => [row.storage_key, row.thumbnail_key]);
+
+  await Promise.all(
+    keys.map(key =>
+      storage.remove(key).catch(error => {
+        console.error('Remove attachment file error:', error);
+      })
+    )
+  );
+};
+
+/**
+ * @param {object} row - `post_attachments` row
+ * @returns {object} Attachment as returned by the API
+ */
+const formatAttachment = row => {
+  const storage = getStorage();
+
+  return {
+    id: String(row.id),
+    type: 'image',
+    mimeType: row.mime_type,
+    url: storage.url(row.storage_key),
+    width: row.width,
+    height: row.height,
+    size: row.size_bytes,
+    thumbnail: {
+      url: storage.url(row.thumbnail_key),
+      width: row.thumbnail_width,
+      height: row.thumbnail_height,
+    },
+  };
+};
+
+/**
+ * @param {import('knex').Knex} knex
+ * @param {number[]} postIds
+ * @returns {Promise<Map<number, object[]>>} Formatted attachments by post ID, in upload order
+ */
+const loadAttachments = async (knex, postIds) => {
+  const attachments = new Map();
+
+  if (!postIds.length) {
+    return attachments;
+  }
+
+  const rows = await knex('post_attachments').whereIn('post_id', postIds).orderBy(['post_id', 'position']);
+
+  rows.forEach(row => {
+    const postAttachments = attachments.get(row.post_id) || [];
+    postAttachments.push(formatAttachment(row));
+    attachments.set(row.post_id, postAttachments);
+  });
+
+  return attachments;
+};
+
+module.exports = {
+  MAX_ATTACHMENTS,
+  MAX_ATTACHMENT_BYTES,
+  validateAttachments,
+  storeAttachments,
+  removeAttachmentFiles,
+  loadAttachments,
+};
@@ -0,0 +1,38 @@
+/**
+ * Blocking is enforced in both directions: neither user sees the other's content
+ * or can interact with them.
+ */
+
+/**
+ * Build a subquery selecting the IDs of every user who has blocked `userId` or been blocked by them.
+ * Intended for `whereNotIn(column, blockedUserIdsQuery(knex, userId))`.
+ *
+ * @param {import('knex').Knex} knex
+ * @param {number} userId
+ * @returns {import('knex').Knex.QueryBuilder}
+ */
+const blockedUserIdsQuery = (knex, userId) =>
+  knex('blocks')
+    .select('blocked_user_id as user_id')
+    .where('blocker_user_id', userId)
+    .union(knex('blocks').select('blocker_user_id as user_id').where('blocked_user_id', userId));
+
+/**
+ * @param {import('knex').Knex} knex
+ * @param {number} userId
+ * @param {number} otherUserId
+ * @returns {Promise<boolean>} Whether either user has blocked the other
+ */
+const isBlockedBetween = async (knex, userId, otherUserId) => {
+  const block = await knex('blocks')
+    .where({ blocker_user_id: userId, blocked_user_id: otherUserId })
+    .orWhere({ blocker_user_id: otherUserId, blocked_user_id: userId })
+    .first();
+
+  return Boolean(block);
+};
+
+module.exports = {
+  blockedUserIdsQuery,
+  isBlockedBetween,
+};
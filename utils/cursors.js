@@ -0,0 +1,59 @@
+/**
+ * Opaque cursors for keyset pagination over (created_at, id). Unlike offsets, a cursor
+ * keeps pointing at the same item when new rows are inserted, so pages never shift.
+ */
+
+/**
+ * @param {{ createdAt: string | Date, id: number }} row
+ * @returns {string} URL-safe cursor pointing at `row`
+ */
+const encodeCursor = row =>
+  Buffer.from(JSON.stringify({ t: new Date(row.createdAt).toISOString(), id: row.id })).toString('base64url');
+
+/**
+ * @param {string} cursor
+ * @returns {{ createdAt: string, id: number } | null} The decoded position, or null when the cursor is malformed
+ */
+const decodeCursor = cursor => {
+  if (typeof cursor !== 'string' || cursor.length === 0) {
+    return null;
+  }
+
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (!Number.isInteger(id) || typeof t !== 'string' || Number.isNaN(Date.parse(t))) {
+      return null;
+    }
+
+    return { createdAt: new Date(t).toISOString(), id };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Restrict a query to the rows strictly older (`before`) or newer (`after`) than `position`
+ * in (created_at, id) order.
+ *
+ * @param {string} createdAtColumn
+ * @param {string} idColumn
+ * @param {{ createdAt: string, id: number }} position
+ * @param {'before' | 'after'} direction
+ * @returns {(builder: import('knex').Knex.QueryBuilder) => void} Callback for `.where()`
+ */
+const cursorFilter = (createdAtColumn, idColumn, position, direction) => builder => {
+  const operator = direction === 'before' ? '<' : '>';
+
+  builder
+    .where(createdAtColumn, operator, position.createdAt)
+    .orWhere(tie => {
+      tie.where(createdAtColumn, position.createdAt).andWhere(idColumn, operator, position.id);
+    });
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+};
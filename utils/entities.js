@@ -0,0 +1,187 @@
+/**
+ * Hashtags and @mentions in post and comment text. They are parsed when the text is
+ * written and stored in the `hashtags` and `mentions` index tables; offsets are always
+ * recomputed from the text so they match what the client renders.
+ */
+
+// A `#` or `@` only starts an entity at a word boundary, so `a#b` and `me@example.com` are ignored
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_#@])#([\p{L}\p{N}_]{1,100})/gu;
+const MENTION_PATTERN = /(?<![\p{L}\p{N}_#@.])@([A-Za-z0-9_]{1,50})/gu;
+
+/**
+ * Normalize a hashtag for storage and lookup.
+ *
+ * @param {string} tag - With or without the leading `#`
+ * @returns {string}
+ */
+const normalizeHashtag = tag => tag.replace(/^#/, '').normalize('NFC').toLowerCase();
+
+/**
+ * Find the hashtags and mentions in `text`. Offsets are UTF-16 code unit indexes into
+ * `text` (as used by JavaScript strings), with `end` exclusive.
+ *
+ * @param {string} text
+ * @returns {{
+ *   hashtags: { tag: string, start: number, end: number }[],
+ *   mentions: { username: string, start: number, end: number }[]
+ * }}
+ */
+const parseEntities = text => {
+  const hashtags = [...text.matchAll(HASHTAG_PATTERN)].map(match => ({
+    tag: normalizeHashtag(match[1]),
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+
+  const mentions = [...text.matchAll(MENTION_PATTERN)].map(match => ({
+    username: match[1].toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+
+  return { hashtags, mentions };
+};
+
+/**
+ * Update the index rows of a post (or of one of its comments when `commentId` is given) to
+ * match the hashtags and mentions found in `text`. Rows for entities that are still present
+ * are kept, so a mention keeps its original timestamp when the text is edited. Mentions of
+ * unknown usernames are not stored. Must be called inside a transaction.
+ *
+ * @param {import('knex').Knex.Transaction} trx
+ * @param {{ postId: number, commentId?: number | null, text: string, createdAt?: string }} target
+ * @returns {Promise<void>}
+ */
+const indexEntities = async (trx, { postId, commentId = null, text, createdAt = new Date().toISOString() }) => {
+  const { hashtags, mentions } = parseEntities(text);
+
+  const matchTarget = builder => {
+    builder.where('post_id', postId);
+
+    if (commentId) {
+      builder.andWhere('comment_id', commentId);
+    } else {
+      builder.whereNull('comment_id');
+    }
+  };
+
+  const tags = [...new Set(hashtags.map(hashtag => hashtag.tag))];
+  const existingTags = (await trx('hashtags').where(matchTarget).select('tag')).map(row => row.tag);
+
+  await trx('hashtags')
+    .where(matchTarget)
+    .whereNotIn('tag', tags)
+    .del();
+
+  const newTags = tags.filter(tag => !existingTags.includes(tag));
+
+  if (newTags.length) {
+    await trx('hashtags').insert(
+      newTags.map(tag => ({
+        tag,
+        post_id: postId,
+        comment_id: commentId,
+        created_at: createdAt,
+      }))
+    );
+  }
+
+  const usernames = [...new Set(mentions.map(mention => mention.username))];
+  const userIds = usernames.length
+    ? (await trx('users').whereIn('username', usernames).select('id')).map(row => row.id)
+    : [];
+  const existingUserIds = (await trx('mentions').where(matchTarget).select('mentioned_user_id')).map(
+    row => row.mentioned_user_id
+  );
+
+  await trx('mentions')
+    .where(matchTarget)
+    .whereNotIn('mentioned_user_id', userIds)
+    .del();
+
+  const newUserIds = userIds.filter(userId => !existingUserIds.includes(userId));
+
+  if (newUserIds.length) {
+    await trx('mentions').insert(
+      newUserIds.map(userId => ({
+        mentioned_user_id: userId,
+        post_id: postId,
+        comment_id: commentId,
+        created_at: createdAt,
+      }))
+    );
+  }
+};
+
+/**
+ * Load the users mentioned by a batch of posts or comments, keyed by post or comment ID
+ * and then by lowercase username, for resolving the mentions found by `parseEntities`.
+ *
+ * @param {import('knex').Knex} knex
+ * @param {'post' | 'comment'} target
+ * @param {number[]} ids
+ * @returns {Promise<Map<number, Map<string, number>>>}
+ */
+const loadMentionedUsers = async (knex, target, ids) => {
+  const mentionedUsers = new Map();
+
+  if (!ids.length) {
+    return mentionedUsers;
+  }
+
+  const query = knex('mentions as m')
+    .join('users as u', 'm.mentioned_user_id', 'u.id')
+    .select('m.post_id', 'm.comment_id', 'u.id as userId', 'u.username');
+
+  if (target === 'comment') {
+    query.whereIn('m.comment_id', ids);
+  } else {
+    query.whereIn('m.post_id', ids).whereNull('m.comment_id');
+  }
+
+  const rows = await query;
+
+  rows.forEach(row => {
+    const targetId = target === 'comment' ? row.comment_id : row.post_id;
+    const users = mentionedUsers.get(targetId) || new Map();
+    users.set(row.username.toLowerCase(), row.userId);
+    mentionedUsers.set(targetId, users);
+  });
+
+  return mentionedUsers;
+};
+
+/**
+ * Build the `entities` of a formatted post or comment. Mentions that do not resolve to a
+ * user are left out.
+ *
+ * @param {string} text
+ * @param {Map<string, number> | undefined} mentionedUsers - From `loadMentionedUsers`
+ * @returns {{
+ *   hashtags: { tag: string, start: number, end: number }[],
+ *   mentions: { username: string, userId: string, start: number, end: number }[]
+ * }}
+ */
+const formatEntities = (text, mentionedUsers) => {
+  const { hashtags, mentions } = parseEntities(text);
+
+  return {
+    hashtags,
+    mentions: mentions
+      .filter(mention => mentionedUsers?.has(mention.username))
+      .map(mention => ({
+        username: mention.username,
+        userId: String(mentionedUsers.get(mention.username)),
+        start: mention.start,
+        end: mention.end,
+      })),
+  };
+};
+
+module.exports = {
+  normalizeHashtag,
+  parseEntities,
+  indexEntities,
+  loadMentionedUsers,
+  formatEntities,
+};
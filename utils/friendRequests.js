@@ -0,0 +1,88 @@
+const DAYS = 24 * 60 * 60 * 1000;
+
+const REQUEST_TTL_MS = (Number(process.env.FRIEND_REQUEST_TTL_DAYS) || 30) * DAYS;
+const DAILY_LIMIT = Number(process.env.FRIEND_REQUEST_DAILY_LIMIT) || 50;
+const DECLINE_COOLDOWN_MS = (Number(process.env.FRIEND_REQUEST_DECLINE_COOLDOWN_DAYS) || 7) * DAYS;
+
+/**
+ * @returns {string} ISO timestamp; pending requests created before it have expired
+ */
+const getRequestExpiryCutoff = () => new Date(Date.now() - REQUEST_TTL_MS).toISOString();
+
+/**
+ * Check the sender's rolling 24 hour quota of outgoing friend requests.
+ *
+ * @param {import('knex').Knex} knex
+ * @param {number} userId
+ * @returns {Promise<{ allowed: boolean, limit: number, retryAfterSeconds: number }>}
+ */
+const checkDailySendLimit = async (knex, userId) => {
+  const windowStart = new Date(Date.now() - DAYS).toISOString();
+
+  const result = await knex('friend_request_sends')
+    .where('sender_user_id', userId)
+    .andWhere('created_at', '>=', windowStart)
+    .count({ count: '*' })
+    .min({ oldest: 'created_at' })
+    .first();
+
+  const count = Number(result?.count ?? 0);
+
+  if (count < DAILY_LIMIT) {
+    return { allowed: true, limit: DAILY_LIMIT, retryAfterSeconds: 0 };
+  }
+
+  const freedAt = new Date(result.oldest).getTime() + DAYS;
+
+  return {
+    allowed: false,
+    limit: DAILY_LIMIT,
+    retryAfterSeconds: Math.max(1, Math.ceil((freedAt - Date.now()) / 1000)),
+  };
+};
+
+/**
+ * @param {{ status: string, responded_at?: string | Date | null }} request
+ * @returns {number} Seconds until the sender of a declined request may send again (0 when allowed)
+ */
+const getDeclineCooldownSeconds = request => {
+  if (request.status !== 'declined' || !request.responded_at) {
+    return 0;
+  }
+
+  const availableAt = new Date(request.responded_at).getTime() + DECLINE_COOLDOWN_MS;
+
+  return Math.max(0, Math.ceil((availableAt - Date.now()) / 1000));
+};
+
+/**
+ * Delete expired pending requests, declined requests whose cooldown is over and
+ * send log entries that no longer count towards the daily limit.
+ *
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<{ expired: number, declined: number, sends: number }>}
+ */
+const cleanupFriendRequests = async knex => {
+  const expired = await knex('friend_requests')
+    .where('status', 'pending')
+    .andWhere('created_at', '<', getRequestExpiryCutoff())
+    .del();
+
+  const declined = await knex('friend_requests')
+    .where('status', 'declined')
+    .andWhere('responded_at', '<', new Date(Date.now() - DECLINE_COOLDOWN_MS).toISOString())
+    .del();
+
+  const sends = await knex('friend_request_sends')
+    .where('created_at', '<', new Date(Date.now() - DAYS).toISOString())
+    .del();
+
+  return { expired, declined, sends };
+};
+
+module.exports = {
+  getRequestExpiryCutoff,
+  checkDailySendLimit,
+  getDeclineCooldownSeconds,
+  cleanupFriendRequests,
+};
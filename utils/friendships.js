@@ -0,0 +1,185 @@
+const { refreshSuggestionsForUsers } = require('./suggestions');
+const { getRequestExpiryCutoff } = require('./friendRequests');
+
+/**
+ * Friendships are stored as two directed rows (user -> friend and friend -> user),
+ * so every write goes through these helpers to keep both sides in sync.
+ */
+
+/**
+ * Create both directed friendship rows and clear anything that is made
+ * redundant by the new friendship (pending requests and suggestions between the two users).
+ * Must be called inside a transaction.
+ *
+ * @param {import('knex').Knex.Transaction} trx
+ * @param {number} userId
+ * @param {number} friendUserId
+ * @returns {Promise<number>} ID of the friendship row owned by `userId`
+ */
+const createFriendship = async (trx, userId, friendUserId) => {
+  const createdAt = new Date().toISOString();
+
+  await trx('friendships')
+    .insert([
+      {
+        user_id: userId,
+        friend_user_id: friendUserId,
+        created_at: createdAt,
+      },
+      {
+        user_id: friendUserId,
+        friend_user_id: userId,
+        created_at: createdAt,
+      },
+    ])
+    .onConflict(['user_id', 'friend_user_id'])
+    .ignore();
+
+  await trx('friend_requests')
+    .where({ sender_user_id: userId, receiver_user_id: friendUserId })
+    .orWhere({ sender_user_id: friendUserId, receiver_user_id: userId })
+    .del();
+
+  await trx('friend_suggestions')
+    .where({ user_id: userId, suggested_user_id: friendUserId })
+    .orWhere({ user_id: friendUserId, suggested_user_id: userId })
+    .del();
+
+  await refreshSuggestionsForUsers(trx, [userId, friendUserId]);
+
+  const friendship = await trx('friendships')
+    .where({ user_id: userId, friend_user_id: friendUserId })
+    .first('id');
+
+  return friendship.id;
+};
+
+/**
+ * Accept a pending friend request addressed to `receiverUserId`, creating the friendship
+ * and removing the request. Must be called inside a transaction.
+ *
+ * @param {import('knex').Knex.Transaction} trx
+ * @param {number} requestId
+ * @param {number} receiverUserId
+ * @returns {Promise<number | null>} ID of the receiver's friendship row, or null when no such unexpired pending request exists
+ */
+const acceptFriendRequest = async (trx, requestId, receiverUserId) => {
+  const request = await trx('friend_requests')
+    .where({
+      id: requestId,
+      receiver_user_id: receiverUserId,
+      status: 'pending',
+    })
+    .andWhere('created_at', '>=', getRequestExpiryCutoff())
+    .first();
+
+  if (!request) {
+    return null;
+  }
+
+  return createFriendship(trx, receiverUserId, request.sender_user_id);
+};
+
+/**
+ * Remove both directed friendship rows along with any pending requests and suggestions between
+ * the two users and each user's friend list memberships for the other. Nothing is changed when
+ * they were not friends. Must be called inside a transaction.
+ *
+ * @param {import('knex').Knex.Transaction} trx
+ * @param {number} userId
+ * @param {number} friendUserId
+ * @returns {Promise<number>} Number of friendship rows removed (0 when they were not friends)
+ */
+const removeFriendship = async (trx, userId, friendUserId) => {
+  const removed = await trx('friendships')
+    .where({ user_id: userId, friend_user_id: friendUserId })
+    .orWhere({ user_id: friendUserId, friend_user_id: userId })
+    .del();
+
+  if (!removed) {
+    return removed;
+  }
+
+  // Declined requests are kept so their cooldown cannot be reset by unfriending
+  await trx('friend_requests')
+    .where('status', 'pending')
+    .andWhere(builder => {
+      builder
+        .where({ sender_user_id: userId, receiver_user_id: friendUserId })
+        .orWhere({ sender_user_id: friendUserId, receiver_user_id: userId });
+    })
+    .del();
+
+  await trx('friend_list_members')
+    .where('member_user_id', friendUserId)
+    .whereIn('list_id', trx('friend_lists').select('id').where('user_id', userId))
+    .del();
+
+  await trx('friend_list_members')
+    .where('member_user_id', userId)
+    .whereIn('list_id', trx('friend_lists').select('id').where('user_id', friendUserId))
+    .del();
+
+  await trx('friend_suggestions')
+    .where({ user_id: userId, suggested_user_id: friendUserId })
+    .orWhere({ user_id: friendUserId, suggested_user_id: userId })
+    .del();
+
+  await refreshSuggestionsForUsers(trx, [userId, friendUserId]);
+
+  return removed;
+};
+
+/**
+ * Count the friends `userId` has in common with each of `otherUserIds` using a single
+ * self-join over the friendships graph, so a whole page of results is resolved at once.
+ *
+ * @param {import('knex').Knex} knex
+ * @param {number} userId
+ * @param {number[]} otherUserIds
+ * @returns {Promise<Map<number, number>>} Mutual friend count keyed by the other user's ID
+ */
+const getMutualFriendCounts = async (knex, userId, otherUserIds) => {
+  const counts = new Map();
+
+  if (!otherUserIds.length) {
+    return counts;
+  }
+
+  const rows = await knex('friendships as mine')
+    .join('friendships as theirs', 'mine.friend_user_id', 'theirs.friend_user_id')
+    .where('mine.user_id', userId)
+    .whereIn('theirs.user_id', otherUserIds)
+    .select('theirs.user_id as userId')
+    .count({ count: '*' })
+    .groupBy('theirs.user_id');
+
+  rows.forEach(row => {
+    counts.set(row.userId, Number(row.count));
+  });
+
+  return counts;
+};
+
+/**
+ * Build a query for the users who are friends with both `userId` and `otherUserId`.
+ *
+ * @param {import('knex').Knex} knex
+ * @param {number} userId
+ * @param {number} otherUserId
+ * @returns {import('knex').Knex.QueryBuilder}
+ */
+const mutualFriendsQuery = (knex, userId, otherUserId) =>
+  knex('friendships as mine')
+    .join('friendships as theirs', 'mine.friend_user_id', 'theirs.friend_user_id')
+    .join('users as u', 'mine.friend_user_id', 'u.id')
+    .where('mine.user_id', userId)
+    .andWhere('theirs.user_id', otherUserId);
+
+module.exports = {
+  createFriendship,
+  acceptFriendRequest,
+  removeFriendship,
+  getMutualFriendCounts,
+  mutualFriendsQuery,
+};
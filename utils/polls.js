@@ -0,0 +1,231 @@
+/**
+ * Polls attached to posts. Each user has one set of votes per poll (a single option unless
+ * the poll is multiple choice), which they can replace until the poll closes.
+ */
+
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 10;
+const MAX_POLL_OPTION_LENGTH = 100;
+
+/**
+ * Validate the `poll` field of a new post. Multipart requests send it as a JSON string.
+ *
+ * @param {unknown} input
+ * @returns {{ poll: { options: string[], multipleChoice: boolean, hideResultsUntilVoted: boolean, closesAt: string | null } | null, error: string | null }}
+ */
+const parsePoll = input => {
+  if (input === undefined || input === null || input === '') {
+    return { poll: null, error: null };
+  }
+
+  let value = input;
+
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      return { poll: null, error: 'Poll must be a JSON object' };
+    }
+  }
+
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    return { poll: null, error: 'Poll must be an object' };
+  }
+
+  const { options, multipleChoice = false, hideResultsUntilVoted = false, closesAt = null } = value;
+
+  if (
+    !Array.isArray(options) ||
+    options.length < MIN_POLL_OPTIONS ||
+    options.length > MAX_POLL_OPTIONS ||
+    options.some(option => typeof option !== 'string' || option.trim().length === 0)
+  ) {
+    return {
+      poll: null,
+      error: `Poll must have between ${MIN_POLL_OPTIONS} and ${MAX_POLL_OPTIONS} non-empty options`,
+    };
+  }
+
+  const trimmedOptions = options.map(option => option.trim());
+
+  if (trimmedOptions.some(option => option.length > MAX_POLL_OPTION_LENGTH)) {
+    return { poll: null, error: `Poll options must be ${MAX_POLL_OPTION_LENGTH} characters or less` };
+  }
+
+  if (new Set(trimmedOptions.map(option => option.toLowerCase())).size !== trimmedOptions.length) {
+    return { poll: null, error: 'Poll options must be unique' };
+  }
+
+  if (typeof multipleChoice !== 'boolean' || typeof hideResultsUntilVoted !== 'boolean') {
+    return { poll: null, error: 'multipleChoice and hideResultsUntilVoted must be booleans' };
+  }
+
+  if (closesAt !== null && (typeof closesAt !== 'string' || Number.isNaN(Date.parse(closesAt)))) {
+    return { poll: null, error: 'closesAt must be an ISO 8601 timestamp' };
+  }
+
+  if (closesAt !== null && Date.parse(closesAt) <= Date.now()) {
+    return { poll: null, error: 'closesAt must be in the future' };
+  }
+
+  return {
+    poll: {
+      options: trimmedOptions,
+      multipleChoice,
+      hideResultsUntilVoted,
+      closesAt: closesAt === null ? null : new Date(closesAt).toISOString(),
+    },
+    error: null,
+  };
+};
+
+/**
+ * @param {import('knex').Knex.Transaction} trx
+ * @param {number} postId
+ * @param {object} poll - From `parsePoll`
+ * @returns {Promise<void>}
+ */
+const createPoll = async (trx, postId, poll) => {
+  const [result] = await trx('polls')
+    .insert({
+      post_id: postId,
+      multiple_choice: poll.multipleChoice,
+      hide_results_until_voted: poll.hideResultsUntilVoted,
+      closes_at: poll.closesAt,
+      created_at: new Date().toISOString(),
+    })
+    .returning('id');
+  const pollId = result?.id ?? result;
+
+  await trx('poll_options').insert(
+    poll.options.map((text, position) => ({
+      poll_id: pollId,
+      position,
+      text,
+    }))
+  );
+};
+
+/**
+ * @param {{ closes_at: string | Date | null }} poll - `polls` row
+ * @returns {boolean}
+ */
+const isPollClosed = poll => poll.closes_at !== null && new Date(poll.closes_at).getTime() <= Date.now();
+
+/**
+ * Load and format the polls of a batch of posts as seen by `userId`. Tallies are null while
+ * results are hidden from them: when the author chose to hide results until voting, the
+ * poll is still open, and `userId` has neither voted nor written the post.
+ *
+ * @param {import('knex').Knex} knex
+ * @param {number[]} postIds
+ * @param {number} userId
+ * @returns {Promise<Map<number, object>>} Formatted polls by post ID
+ */
+const loadPolls = async (knex, postIds, userId) => {
+  const polls = new Map();
+
+  if (!postIds.length) {
+    return polls;
+  }
+
+  const pollRows = await knex('polls as pl')
+    .join('posts as p', 'pl.post_id', 'p.id')
+    .whereIn('pl.post_id', postIds)
+    .select('pl.*', 'p.user_id as author_id');
+
+  if (!pollRows.length) {
+    return polls;
+  }
+
+  const pollIds = pollRows.map(row => row.id);
+
+  const optionRows = await knex('poll_options')
+    .whereIn('poll_id', pollIds)
+    .orderBy(['poll_id', 'position']);
+
+  const voteCountRows = await knex('poll_votes')
+    .whereIn('poll_id', pollIds)
+    .select('option_id')
+    .count({ count: '*' })
+    .groupBy('option_id');
+
+  const voterCountRows = await knex('poll_votes')
+    .whereIn('poll_id', pollIds)
+    .select('poll_id')
+    .countDistinct({ count: 'user_id' })
+    .groupBy('poll_id');
+
+  const userVoteRows = await knex('poll_votes')
+    .whereIn('poll_id', pollIds)
+    .andWhere('user_id', userId)
+    .select('poll_id', 'option_id');
+
+  const voteCounts = new Map(voteCountRows.map(row => [row.option_id, Number(row.count)]));
+  const voterCounts = new Map(voterCountRows.map(row => [row.poll_id, Number(row.count)]));
+
+  pollRows.forEach(poll => {
+    const options = optionRows.filter(option => option.poll_id === poll.id);
+    const currentUserVotes = userVoteRows
+      .filter(vote => vote.poll_id === poll.id)
+      .map(vote => String(vote.option_id));
+    const closed = isPollClosed(poll);
+    const resultsVisible =
+      !poll.hide_results_until_voted || closed || currentUserVotes.length > 0 || poll.author_id === userId;
+
+    polls.set(poll.post_id, {
+      id: String(poll.id),
+      multipleChoice: Boolean(poll.multiple_choice),
+      hideResultsUntilVoted: Boolean(poll.hide_results_until_voted),
+      closesAt: poll.closes_at ? new Date(poll.closes_at).toISOString() : null,
+      closed,
+      resultsVisible,
+      totalVoters: resultsVisible ? voterCounts.get(poll.id) ?? 0 : null,
+      options: options.map(option => ({
+        id: String(option.id),
+        text: option.text,
+        votes: resultsVisible ? voteCounts.get(option.id) ?? 0 : null,
+      })),
+      currentUserVotes,
+    });
+  });
+
+  return polls;
+};
+
+/**
+ * Replace `userId`'s votes on a poll. The poll row is locked for the duration (on Postgres;
+ * SQLite serializes write transactions anyway), so concurrent votes by the same user cannot
+ * both commit and leave them with more votes than the poll allows.
+ *
+ * @param {import('knex').Knex} knex
+ * @param {number} pollId
+ * @param {number} userId
+ * @param {number[]} optionIds - Options of this poll; a single one unless it is multiple choice
+ * @returns {Promise<void>}
+ */
+const replaceVotes = (knex, pollId, userId, optionIds) =>
+  knex.transaction(async trx => {
+    const createdAt = new Date().toISOString();
+
+    await trx('polls').where('id', pollId).forUpdate().first('id');
+
+    await trx('poll_votes').where({ poll_id: pollId, user_id: userId }).del();
+
+    await trx('poll_votes').insert(
+      optionIds.map(optionId => ({
+        poll_id: pollId,
+        option_id: optionId,
+        user_id: userId,
+        created_at: createdAt,
+      }))
+    );
+  });
+
+module.exports = {
+  parsePoll,
+  createPoll,
+  isPollClosed,
+  loadPolls,
+  replaceVotes,
+};
@@ -0,0 +1,348 @@
+const db = require('../db/knex');
+const { toRelativeTime } = require('./time');
+const { blockedUserIdsQuery } = require('./blocks');
+const { emptyReactionCounts, loadReactions } = require('./reactions');
+const { loadMentionedUsers, formatEntities } = require('./entities');
+const { loadAttachments } = require('./attachments');
+const { visiblePostsFilter } = require('./visibility');
+const { loadPolls } = require('./polls');
+
+/**
+ * Loading and formatting of posts and comments for API responses. Rows are selected with
+ * POST_COLUMNS / COMMENT_COLUMNS and everything else is loaded in batches per page.
+ */
+
+const POST_COLUMNS = [
+  'p.id',
+  'u.username',
+  'u.profile_image as profileImage',
+  'p.text',
+  'p.visibility',
+  'p.audience_list_id as audienceListId',
+  'p.created_at as createdAt',
+  'p.edited_at as editedAt',
+  'p.shared_post_id as sharedPostId',
+  'p.status',
+  'p.publish_at as publishAt',
+];
+
+const COMMENT_COLUMNS = [
+  'c.id',
+  'c.post_id',
+  'u.username',
+  'u.profile_image as profileImage',
+  'c.text',
+  'c.created_at as createdAt',
+  'c.edited_at as editedAt',
+  'c.parent_comment_id as parentCommentId',
+  'c.depth',
+  'c.deleted_at as deletedAt',
+];
+
+// Number of latest comments embedded in each post; the rest are loaded from the comments endpoint
+const COMMENT_PREVIEW_SIZE = 3;
+
+/**
+ * Reaction fields shared by posts and comments. `likes` and `likedByCurrentUser` predate
+ * reactions and count any reaction, so older clients keep working.
+ */
+const formatReactions = (id, reactions) => {
+  const counts = reactions.counts.get(id) || emptyReactionCounts();
+  const currentUserReaction = reactions.userReactions.get(id) ?? null;
+
+  return {
+    likes: Object.values(counts).reduce((sum, count) => sum + count, 0),
+    likedByCurrentUser: currentUserReaction !== null,
+    reactions: counts,
+    currentUserReaction,
+  };
+};
+
+const formatComment = (comment, stats) => {
+  // Deleted comments that still have replies are shown as placeholders
+  const deleted = Boolean(comment.deletedAt);
+
+  return {
+    id: String(comment.id),
+    parentCommentId: comment.parentCommentId ? String(comment.parentCommentId) : null,
+    depth: comment.depth,
+    username: deleted ? null : comment.username,
+    profileImage: deleted ? null : comment.profileImage,
+    text: deleted ? null : comment.text,
+    timestamp: new Date(comment.createdAt).toISOString(),
+    relativeTimestamp: toRelativeTime(comment.createdAt),
+    edited: !deleted && Boolean(comment.editedAt),
+    deleted,
+    entities: formatEntities(deleted ? '' : comment.text, stats.mentionedUsers.get(comment.id)),
+    ...formatReactions(comment.id, stats.reactions),
+    replyCount: stats.replyCounts.get(comment.id) ?? 0,
+  };
+};
+
+/**
+ * The original of a share as embedded in it, or `{ available: false }` when the original
+ * was deleted or `userId` is not allowed to see it.
+ */
+const formatSharedPost = (post, context) => {
+  if (!post.sharedPostId) {
+    return null;
+  }
+
+  const sharedPost = context.sharedPosts.get(post.sharedPostId);
+
+  return sharedPost ? { available: true, ...sharedPost } : { available: false };
+};
+
+const formatPost = (post, context) => {
+  const comments = context.commentsByPostId.get(post.id) ?? [];
+
+  return {
+    id: String(post.id),
+    username: post.username,
+    profileImage: post.profileImage,
+    timestamp: new Date(post.createdAt).toISOString(),
+    relativeTimestamp: toRelativeTime(post.createdAt),
+    text: post.text,
+    editedAt: post.editedAt ? new Date(post.editedAt).toISOString() : null,
+    visibility: post.visibility,
+    audienceListId: post.audienceListId ? String(post.audienceListId) : null,
+    status: post.status,
+    publishAt: post.publishAt ? new Date(post.publishAt).toISOString() : null,
+    entities: formatEntities(post.text, context.mentionedUsers.get(post.id)),
+    attachments: context.attachments.get(post.id) ?? [],
+    poll: context.polls.get(post.id) ?? null,
+    ...formatReactions(post.id, context.reactions),
+    bookmarkedByCurrentUser: context.bookmarkedPostIds.has(post.id),
+    commentCount: context.commentCounts.get(post.id) ?? 0,
+    shareCount: context.shareCounts.get(post.id) ?? 0,
+    sharedPost: formatSharedPost(post, context),
+    comments: comments.map(comment => formatComment(comment, context.commentStats)),
+  };
+};
+
+/**
+ * Load reactions, mentioned users and direct reply counts (excluding replies by blocked
+ * users) for a set of comments, as seen by `userId`.
+ */
+const loadCommentStats = async (commentIds, userId) => {
+  const reactions = await loadReactions(db, 'comment', commentIds, userId);
+  const mentionedUsers = await loadMentionedUsers(db, 'comment', commentIds);
+  const replyCounts = new Map();
+
+  if (!commentIds.length) {
+    return { reactions, mentionedUsers, replyCounts };
+  }
+
+  const replyRows = await db('comments')
+    .whereIn('parent_comment_id', commentIds)
+    .whereNotIn('user_id', blockedUserIdsQuery(db, userId))
+    .select('parent_comment_id')
+    .count({ count: '*' })
+    .groupBy('parent_comment_id');
+
+  replyRows.forEach(row => {
+    replyCounts.set(row.parent_comment_id, Number(row.count));
+  });
+
+  return { reactions, mentionedUsers, replyCounts };
+};
+
+/**
+ * Load every reply below a page of comments and format the page with each comment's replies
+ * nested under `replies`, oldest first. Replies are fetched one level at a time, which is
+ * bounded by the maximum nesting depth. Replies by blocked users are left out along with
+ * everything below them, as in `replyCount`.
+ *
+ * @param {object[]} commentRows - Selected with COMMENT_COLUMNS
+ * @param {number} userId
+ */
+const loadFormattedThreads = async (commentRows, userId) => {
+  const replyRows = [];
+  let parentIds = commentRows.map(row => row.id);
+
+  while (parentIds.length) {
+    const levelRows = await db('comments as c')
+      .join('users as u', 'c.user_id', 'u.id')
+      .whereIn('c.parent_comment_id', parentIds)
+      .whereNotIn('c.user_id', blockedUserIdsQuery(db, userId))
+      .select(COMMENT_COLUMNS)
+      .orderBy('c.created_at', 'asc')
+      .orderBy('c.id', 'asc');
+
+    replyRows.push(...levelRows);
+    parentIds = levelRows.map(row => row.id);
+  }
+
+  const stats = await loadCommentStats(
+    [...commentRows, ...replyRows].map(row => row.id),
+    userId
+  );
+
+  const repliesByParentId = new Map();
+
+  replyRows.forEach(row => {
+    const group = repliesByParentId.get(row.parentCommentId) || [];
+    group.push(row);
+    repliesByParentId.set(row.parentCommentId, group);
+  });
+
+  const formatThread = row => ({
+    ...formatComment(row, stats),
+    replies: (repliesByParentId.get(row.id) ?? []).map(formatThread),
+  });
+
+  return commentRows.map(formatThread);
+};
+
+/**
+ * Load reactions, mentions, attachments, polls, bookmarks, comment and share counts, a preview of
+ * the latest top-level comments and the originals of shares for a page of post rows
+ * (selected with POST_COLUMNS) in a fixed number of batched queries and return the
+ * formatted posts, as seen by `userId`. The full comment thread is paginated separately through
+ * `GET /posts/:postId/comments`.
+ *
+ * @param {object[]} postRows
+ * @param {number} userId
+ * @param {object} [options]
+ * @param {boolean} [options.embedded=false] - Format the posts as embedded originals of shares
+ */
+const loadFormattedPosts = async (postRows, userId, { embedded = false } = {}) => {
+  const postIds = postRows.map(row => row.id);
+
+  const context = {
+    reactions: await loadReactions(db, 'post', postIds, userId),
+    mentionedUsers: await loadMentionedUsers(db, 'post', postIds),
+    attachments: await loadAttachments(db, postIds),
+    polls: await loadPolls(db, postIds, userId),
+    commentCounts: new Map(),
+    commentsByPostId: new Map(),
+    commentStats: await loadCommentStats([], userId),
+    shareCounts: new Map(),
+    sharedPosts: new Map(),
+    bookmarkedPostIds: new Set(),
+  };
+
+  if (postIds.length) {
+    const visibleComments = () =>
+      db('comments as c')
+        .whereIn('c.post_id', postIds)
+        .whereNotIn('c.user_id', blockedUserIdsQuery(db, userId));
+
+    const commentCountRows = await visibleComments()
+      .whereNull('c.deleted_at')
+      .select('c.post_id')
+      .count({ count: '*' })
+      .groupBy('c.post_id');
+
+    commentCountRows.forEach(row => {
+      context.commentCounts.set(row.post_id, Number(row.count));
+    });
+
+    const shareCountRows = await db('posts')
+      .whereIn('shared_post_id', postIds)
+      .andWhere('status', 'published')
+      .whereNotIn('user_id', blockedUserIdsQuery(db, userId))
+      .select('shared_post_id')
+      .count({ count: '*' })
+      .groupBy('shared_post_id');
+
+    shareCountRows.forEach(row => {
+      context.shareCounts.set(row.shared_post_id, Number(row.count));
+    });
+
+    const bookmarkRows = await db('post_bookmarks')
+      .where('user_id', userId)
+      .whereIn('post_id', postIds)
+      .select('post_id');
+
+    bookmarkRows.forEach(row => {
+      context.bookmarkedPostIds.add(row.post_id);
+    });
+
+    // Embedded originals are shown without comments or an original of their own
+    if (!embedded) {
+      // Rank each post's comments newest first and keep the top few
+      const rankedComments = visibleComments()
+        .whereNull('c.parent_comment_id')
+        .select('c.id')
+        .select(
+          db.raw('row_number() over (partition by ?? order by ?? desc, ?? desc) as comment_rank', [
+            'c.post_id',
+            'c.created_at',
+            'c.id',
+          ])
+        );
+
+      const commentRows = await db
+        .from(rankedComments.as('ranked'))
+        .join('comments as c', 'c.id', 'ranked.id')
+        .join('users as u', 'c.user_id', 'u.id')
+        .where('ranked.comment_rank', '<=', COMMENT_PREVIEW_SIZE)
+        .select(COMMENT_COLUMNS)
+        .orderBy('c.created_at', 'asc')
+        .orderBy('c.id', 'asc');
+
+      commentRows.forEach(row => {
+        const group = context.commentsByPostId.get(row.post_id) || [];
+        group.push(row);
+        context.commentsByPostId.set(row.post_id, group);
+      });
+
+      context.commentStats = await loadCommentStats(
+        commentRows.map(row => row.id),
+        userId
+      );
+
+      // Originals the viewer may not see are left out and shown as unavailable
+      const sharedPostIds = [...new Set(postRows.map(row => row.sharedPostId).filter(Boolean))];
+      const sharedPostRows = sharedPostIds.length
+        ? await db('posts as p')
+            .join('users as u', 'p.user_id', 'u.id')
+            .whereIn('p.id', sharedPostIds)
+            .andWhere(visiblePostsFilter(db, userId))
+            .select(POST_COLUMNS)
+        : [];
+
+      const sharedPosts = await loadFormattedPosts(sharedPostRows, userId, { embedded: true });
+
+      sharedPosts.forEach(sharedPost => {
+        context.sharedPosts.set(Number(sharedPost.id), sharedPost);
+      });
+    }
+  }
+
+  if (embedded) {
+    return postRows.map(row => {
+      const { comments, sharedPost, ...post } = formatPost(row, context);
+      return post;
+    });
+  }
+
+  return postRows.map(row => formatPost(row, context));
+};
+
+/**
+ * Load a single comment with its reactions and reply count and format it as seen by `userId`.
+ */
+const loadFormattedComment = async (commentId, userId) => {
+  const commentRow = await db('comments as c')
+    .join('users as u', 'c.user_id', 'u.id')
+    .select(COMMENT_COLUMNS)
+    .where('c.id', commentId)
+    .first();
+
+  const stats = await loadCommentStats([commentRow.id], userId);
+
+  return formatComment(commentRow, stats);
+};
+
+module.exports = {
+  POST_COLUMNS,
+  COMMENT_COLUMNS,
+  formatComment,
+  formatPost,
+  loadCommentStats,
+  loadFormattedThreads,
+  loadFormattedPosts,
+  loadFormattedComment,
+};
@@ -0,0 +1,73 @@
+const db = require('../db/knex');
+
+const IDLE_TIMEOUT_MS = Number(process.env.PRESENCE_IDLE_TIMEOUT_MS) || 5 * 60 * 1000;
+
+// Authenticated requests refresh last_seen_at at most this often per user, to avoid a write per request
+const WRITE_INTERVAL_MS = Math.min(60 * 1000, Math.floor(IDLE_TIMEOUT_MS / 2));
+
+// Ordered by last write, oldest first: entries are re-inserted on every write
+const lastWriteByUserId = new Map();
+
+/**
+ * Forget users whose last write is outside the throttle window, so the map only holds
+ * recently active users.
+ *
+ * @param {number} now
+ */
+const pruneLastWrites = now => {
+  for (const [userId, lastWrite] of lastWriteByUserId) {
+    if (now - lastWrite < WRITE_INTERVAL_MS) {
+      return;
+    }
+
+    lastWriteByUserId.delete(userId);
+  }
+};
+
+/**
+ * @returns {string} ISO timestamp; users seen at or after it are online
+ */
+const getOnlineCutoff = () => new Date(Date.now() - IDLE_TIMEOUT_MS).toISOString();
+
+/**
+ * @param {string | Date | null} lastSeenAt
+ * @returns {'online' | 'offline'}
+ */
+const getPresenceStatus = lastSeenAt => {
+  if (!lastSeenAt) {
+    return 'offline';
+  }
+
+  return Date.now() - new Date(lastSeenAt).getTime() <= IDLE_TIMEOUT_MS ? 'online' : 'offline';
+};
+
+/**
+ * Record activity for a user.
+ *
+ * @param {number} userId
+ * @param {{ force?: boolean }} [options] - `force` skips the write throttle (used by the heartbeat endpoint)
+ * @returns {Promise<string | null>} The stored timestamp, or null when the write was throttled
+ */
+const touchLastSeen = async (userId, { force = false } = {}) => {
+  const now = Date.now();
+  const lastWrite = lastWriteByUserId.get(userId);
+
+  if (!force && lastWrite && now - lastWrite < WRITE_INTERVAL_MS) {
+    return null;
+  }
+
+  lastWriteByUserId.delete(userId);
+  lastWriteByUserId.set(userId, now);
+  pruneLastWrites(now);
+
+  const lastSeenAt = new Date(now).toISOString();
+  await db('users').where({ id: userId }).update({ last_seen_at: lastSeenAt });
+
+  return lastSeenAt;
+};
+
+module.exports = {
+  getOnlineCutoff,
+  getPresenceStatus,
+  touchLastSeen,
+};
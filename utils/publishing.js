@@ -0,0 +1,124 @@
+/**
+ * Drafts and scheduled posts. Unpublished posts are hidden by `visiblePostsFilter` and only
+ * reachable by their author; publishing gives them their real `created_at`, so they appear
+ * at the top of feeds and cursors keep working.
+ */
+
+const POST_STATUSES = ['published', 'draft', 'scheduled'];
+
+// Due posts are published in batches of this size
+const PUBLISH_BATCH_SIZE = 100;
+
+/**
+ * @param {unknown} publishAt
+ * @returns {string | null} An error message, or null when `publishAt` is a future timestamp
+ */
+const validatePublishAt = publishAt => {
+  if (typeof publishAt !== 'string' || Number.isNaN(Date.parse(publishAt))) {
+    return 'publishAt must be an ISO 8601 timestamp';
+  }
+
+  if (Date.parse(publishAt) <= Date.now()) {
+    return 'publishAt must be in the future';
+  }
+
+  return null;
+};
+
+/**
+ * Work out the status of a new post from the `draft` and `publishAt` fields of the request.
+ * Multipart requests send `draft` as a string.
+ *
+ * @param {{ draft?: unknown, publishAt?: unknown }} body
+ * @returns {{ status: string, publishAt: string | null, error: string | null }}
+ */
+const parsePublishOptions = ({ draft, publishAt }) => {
+  const isDraft = draft === true || draft === 'true';
+  const isScheduled = publishAt !== undefined && publishAt !== null && publishAt !== '';
+
+  if (isDraft && isScheduled) {
+    return { status: null, publishAt: null, error: 'A post cannot be both a draft and scheduled' };
+  }
+
+  if (isScheduled) {
+    const error = validatePublishAt(publishAt);
+
+    return error
+      ? { status: null, publishAt: null, error }
+      : { status: 'scheduled', publishAt: new Date(publishAt).toISOString(), error: null };
+  }
+
+  return { status: isDraft ? 'draft' : 'published', publishAt: null, error: null };
+};
+
+/**
+ * Publish a draft or scheduled post. The update is conditional on the post still being
+ * unpublished, so when several processes race to publish the same post only one succeeds.
+ *
+ * @param {import('knex').Knex.Transaction} trx
+ * @param {number} postId
+ * @param {object} [options]
+ * @param {boolean} [options.onlyIfDue=false] - Only publish a scheduled post whose publish time has passed
+ * @returns {Promise<boolean>} Whether this call published the post
+ */
+const publishPost = async (trx, postId, { onlyIfDue = false } = {}) => {
+  const publishedAt = new Date().toISOString();
+
+  const query = trx('posts').where('id', postId).whereNot('status', 'published');
+
+  if (onlyIfDue) {
+    query.andWhere('status', 'scheduled').andWhere('publish_at', '<=', publishedAt);
+  }
+
+  const updated = await query.update({
+    status: 'published',
+    publish_at: null,
+    created_at: publishedAt,
+  });
+
+  if (!updated) {
+    return false;
+  }
+
+  // Mentions and hashtags date from publication, not from when the draft was written
+  await trx('hashtags').where('post_id', postId).update({ created_at: publishedAt });
+  await trx('mentions').where('post_id', postId).update({ created_at: publishedAt });
+
+  return true;
+};
+
+/**
+ * Publish every scheduled post that is due. Safe to run from several processes at once.
+ *
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<number>} Number of posts published by this call
+ */
+const publishDuePosts = async knex => {
+  let published = 0;
+  let duePosts;
+
+  do {
+    duePosts = await knex('posts')
+      .where('status', 'scheduled')
+      .andWhere('publish_at', '<=', new Date().toISOString())
+      .orderBy('publish_at')
+      .limit(PUBLISH_BATCH_SIZE)
+      .select('id');
+
+    for (const { id } of duePosts) {
+      if (await knex.transaction(trx => publishPost(trx, id, { onlyIfDue: true }))) {
+        published += 1;
+      }
+    }
+  } while (duePosts.length === PUBLISH_BATCH_SIZE);
+
+  return published;
+};
+
+module.exports = {
+  POST_STATUSES,
+  validatePublishAt,
+  parsePublishOptions,
+  publishPost,
+  publishDuePosts,
+};
@@ -0,0 +1,130 @@
+/**
+ * Emoji reactions on posts and comments. Each user has at most one reaction per post or
+ * comment; reacting again replaces it.
+ */
+
+const REACTIONS = ['like', 'love', 'laugh', 'wow', 'sad', 'angry'];
+
+const REACTION_TABLES = {
+  post: { table: 'post_reactions', column: 'post_id' },
+  comment: { table: 'comment_reactions', column: 'comment_id' },
+};
+
+/**
+ * @returns {Record<string, number>} A zero count for every reaction
+ */
+const emptyReactionCounts = () => Object.fromEntries(REACTIONS.map(reaction => [reaction, 0]));
+
+/**
+ * Load per-reaction counts and the reaction `userId` left for a batch of posts or comments.
+ *
+ * @param {import('knex').Knex} knex
+ * @param {'post' | 'comment'} target
+ * @param {number[]} ids
+ * @param {number} userId
+ * @returns {Promise<{ counts: Map<number, Record<string, number>>, userReactions: Map<number, string> }>}
+ */
+const loadReactions = async (knex, target, ids, userId) => {
+  const { table, column } = REACTION_TABLES[target];
+  const counts = new Map();
+  const userReactions = new Map();
+
+  if (!ids.length) {
+    return { counts, userReactions };
+  }
+
+  const countRows = await knex(table)
+    .whereIn(column, ids)
+    .select(`${column} as targetId`, 'reaction')
+    .count({ count: '*' })
+    .groupBy(column, 'reaction');
+
+  countRows.forEach(row => {
+    const targetCounts = counts.get(row.targetId) || emptyReactionCounts();
+    targetCounts[row.reaction] = Number(row.count);
+    counts.set(row.targetId, targetCounts);
+  });
+
+  const userRows = await knex(table)
+    .whereIn(column, ids)
+    .andWhere('user_id', userId)
+    .select(`${column} as targetId`, 'reaction');
+
+  userRows.forEach(row => {
+    userReactions.set(row.targetId, row.reaction);
+  });
+
+  return { counts, userReactions };
+};
+
+/**
+ * Summarise the reactions on a single post or comment as seen by `userId`.
+ *
+ * @param {import('knex').Knex} knex
+ * @param {'post' | 'comment'} target
+ * @param {number} id
+ * @param {number} userId
+ * @returns {Promise<{ reactions: Record<string, number>, total: number, currentUserReaction: string | null }>}
+ */
+const getReactionSummary = async (knex, target, id, userId) => {
+  const { counts, userReactions } = await loadReactions(knex, target, [id], userId);
+  const reactions = counts.get(id) || emptyReactionCounts();
+
+  return {
+    reactions,
+    total: Object.values(reactions).reduce((sum, count) => sum + count, 0),
+    currentUserReaction: userReactions.get(id) ?? null,
+  };
+};
+
+/**
+ * Set `userId`'s reaction in a single upsert, so concurrent or retried requests can never
+ * collide on the primary key.
+ *
+ * @param {import('knex').Knex} knex
+ * @param {'post' | 'comment'} target
+ * @param {number} id
+ * @param {number} userId
+ * @param {string} reaction - One of REACTIONS
+ * @param {object} [options]
+ * @param {boolean} [options.replace=true] - Replace a reaction the user already left; when false it is kept as is
+ * @returns {Promise<void>}
+ */
+const setReaction = async (knex, target, id, userId, reaction, { replace = true } = {}) => {
+  const { table, column } = REACTION_TABLES[target];
+
+  const insert = knex(table)
+    .insert({
+      [column]: id,
+      user_id: userId,
+      reaction,
+      created_at: new Date().toISOString(),
+    })
+    .onConflict([column, 'user_id']);
+
+  await (replace ? insert.merge(['reaction', 'created_at']) : insert.ignore());
+};
+
+/**
+ * @param {import('knex').Knex} knex
+ * @param {'post' | 'comment'} target
+ * @param {number} id
+ * @param {number} userId
+ * @returns {Promise<number>} Number of reactions removed (0 when the user had not reacted)
+ */
+const removeReaction = (knex, target, id, userId) => {
+  const { table, column } = REACTION_TABLES[target];
+
+  return knex(table)
+    .where({ [column]: id, user_id: userId })
+    .del();
+};
+
+module.exports = {
+  REACTIONS,
+  emptyReactionCounts,
+  loadReactions,
+  getReactionSummary,
+  setReaction,
+  removeReaction,
+};
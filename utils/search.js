@@ -0,0 +1,131 @@
+/**
+ * Full-text search over usernames, post text and comment text. SQLite uses FTS5 tables
+ * (`<table>_fts`) kept in sync by triggers; Postgres uses a generated `search_vector`
+ * column with a GIN index. Both are created by the search index migration, so writes
+ * never have to update the index themselves.
+ */
+
+const SEARCH_TYPES = ['users', 'posts', 'comments'];
+
+const SEARCH_SOURCES = {
+  users: { table: 'users', column: 'username' },
+  posts: { table: 'posts', column: 'text' },
+  comments: { table: 'comments', column: 'text' },
+};
+
+// Markers the database wraps around matched words in snippets; removed by `parseSnippet`
+const HIGHLIGHT_START = '\u0001';
+const HIGHLIGHT_END = '\u0002';
+
+// Approximate number of words in a snippet
+const SNIPPET_WORDS = 16;
+
+// Extra terms are ignored to keep queries cheap
+const MAX_SEARCH_TERMS = 10;
+
+/**
+ * @param {import('knex').Knex} knex
+ * @returns {boolean} Whether `knex` is connected to Postgres rather than SQLite
+ */
+const isPostgres = knex => ['pg', 'postgres', 'postgresql'].includes(knex.client.config.client);
+
+/**
+ * Split a search query into lowercase words. Everything but letters and digits is dropped,
+ * so user input can never be interpreted as full-text query syntax.
+ *
+ * @param {string} query
+ * @returns {string[]}
+ */
+const parseSearchTerms = query => {
+  const words = query.normalize('NFC').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+  return [...new Set(words)].slice(0, MAX_SEARCH_TERMS);
+};
+
+const sqliteMatches = (knex, type, terms) => {
+  const ftsTable = `${SEARCH_SOURCES[type].table}_fts`;
+  // Every term must match, the last one also as a prefix so results appear while typing
+  const match = terms.map((term, index) => (index === terms.length - 1 ? `"${term}"*` : `"${term}"`)).join(' ');
+
+  return knex(ftsTable)
+    .whereRaw('?? MATCH ?', [ftsTable, match])
+    .select(
+      `${ftsTable}.rowid as id`,
+      // bm25() is lower for better matches
+      knex.raw('-bm25(??) as score', [ftsTable]),
+      knex.raw('snippet(??, 0, ?, ?, ?, ?) as snippet', [
+        ftsTable,
+        HIGHLIGHT_START,
+        HIGHLIGHT_END,
+        '…',
+        SNIPPET_WORDS,
+      ])
+    );
+};
+
+const postgresMatches = (knex, type, terms) => {
+  const { table, column } = SEARCH_SOURCES[type];
+  const tsQuery = terms.map((term, index) => (index === terms.length - 1 ? `${term}:*` : term)).join(' & ');
+  const headlineOptions = [
+    `StartSel=${HIGHLIGHT_START}`,
+    `StopSel=${HIGHLIGHT_END}`,
+    `MaxWords=${SNIPPET_WORDS}`,
+    `MinWords=${Math.floor(SNIPPET_WORDS / 2)}`,
+  ].join(', ');
+
+  return knex(table)
+    .whereRaw("search_vector @@ to_tsquery('simple', ?)", [tsQuery])
+    .select(
+      'id',
+      knex.raw("ts_rank(search_vector, to_tsquery('simple', ?)) as score", [tsQuery]),
+      knex.raw("ts_headline('simple', ??, to_tsquery('simple', ?), ?) as snippet", [column, tsQuery, headlineOptions])
+    );
+};
+
+/**
+ * Build a subquery selecting `id`, `score` (higher is more relevant) and a highlighted
+ * `snippet` for every row of the searched table that matches all of `terms`.
+ *
+ * @param {import('knex').Knex} knex
+ * @param {'users' | 'posts' | 'comments'} type
+ * @param {string[]} terms - From `parseSearchTerms`; must not be empty
+ * @returns {import('knex').Knex.QueryBuilder}
+ */
+const searchMatchesQuery = (knex, type, terms) =>
+  isPostgres(knex) ? postgresMatches(knex, type, terms) : sqliteMatches(knex, type, terms);
+
+/**
+ * Turn a snippet returned by `searchMatchesQuery` into plain text plus the offsets of the
+ * highlighted words (UTF-16 code unit indexes, `end` exclusive), so clients never have to
+ * render markup from user content.
+ *
+ * @param {string} snippet
+ * @returns {{ text: string, highlights: { start: number, end: number }[] }}
+ */
+const parseSnippet = snippet => {
+  const highlights = [];
+  let text = '';
+  let start = null;
+
+  for (const char of snippet) {
+    if (char === HIGHLIGHT_START) {
+      start = text.length;
+    } else if (char === HIGHLIGHT_END) {
+      if (start !== null && text.length > start) {
+        highlights.push({ start, end: text.length });
+      }
+      start = null;
+    } else {
+      text += char;
+    }
+  }
+
+  return { text, highlights };
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  parseSearchTerms,
+  searchMatchesQuery,
+  parseSnippet,
+};
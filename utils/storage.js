@@ -0,0 +1,92 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Pluggable file storage for uploads. A driver stores opaque keys such as
+ * `posts/<uuid>.jpg` and has this shape:
+ *
+ *   save(key, buffer, contentType) => Promise<void>
+ *   remove(key) => Promise<void>   (must not fail when the file is already gone)
+ *   url(key) => string             (public URL the client can fetch the file from)
+ *
+ * The driver is chosen with STORAGE_DRIVER; other drivers (e.g. S3) can be added with
+ * `registerStorageDriver` before the first upload.
+ */
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+const UPLOADS_DIR = path.resolve(process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads'));
+const UPLOADS_URL_PATH = '/uploads';
+
+/**
+ * Store files on the local filesystem under `directory`. server.js serves `directory` at
+ * `urlPath`.
+ *
+ * @param {{ directory: string, urlPath: string }} options
+ */
+const createLocalStorage = ({ directory, urlPath }) => {
+  const resolveKey = key => {
+    const filePath = path.resolve(directory, key);
+
+    if (!filePath.startsWith(directory + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  };
+
+  return {
+    directory,
+    urlPath,
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+
+    async remove(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+
+    url(key) {
+      return `${urlPath}/${key}`;
+    },
+  };
+};
+
+const drivers = {
+  local: () => createLocalStorage({ directory: UPLOADS_DIR, urlPath: UPLOADS_URL_PATH }),
+};
+
+let storage = null;
+
+/**
+ * @param {string} name - Value of STORAGE_DRIVER that selects the driver
+ * @param {() => object} factory - Creates the driver
+ */
+const registerStorageDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+/**
+ * @returns {object} The configured storage driver
+ */
+const getStorage = () => {
+  if (!storage) {
+    const factory = drivers[STORAGE_DRIVER];
+
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${STORAGE_DRIVER}`);
+    }
+
+    storage = factory();
+  }
+
+  return storage;
+};
+
+module.exports = {
+  createLocalStorage,
+  registerStorageDriver,
+  getStorage,
+};
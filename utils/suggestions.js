@@ -0,0 +1,98 @@
+const { blockedUserIdsQuery } = require('./blocks');
+
+const SUGGESTIONS_PER_USER = Number(process.env.FRIEND_SUGGESTIONS_PER_USER) || 50;
+
+/**
+ * Build a query ranking friends-of-friends of `userId` by how many mutual friends they share.
+ * Existing friends, anyone with a request to or from the user, blocked users and previously
+ * dismissed suggestions are excluded.
+ *
+ * @param {import('knex').Knex} knex
+ * @param {number} userId
+ * @returns {import('knex').Knex.QueryBuilder}
+ */
+const suggestionCandidatesQuery = (knex, userId) =>
+  knex('friendships as mine')
+    .join('friendships as theirs', 'mine.friend_user_id', 'theirs.user_id')
+    .where('mine.user_id', userId)
+    .whereNot('theirs.friend_user_id', userId)
+    .whereNotIn(
+      'theirs.friend_user_id',
+      knex('friendships').select('friend_user_id').where('user_id', userId)
+    )
+    .whereNotIn(
+      'theirs.friend_user_id',
+      knex('friend_requests').select('receiver_user_id').where('sender_user_id', userId)
+    )
+    .whereNotIn(
+      'theirs.friend_user_id',
+      knex('friend_requests').select('sender_user_id').where('receiver_user_id', userId)
+    )
+    .whereNotIn('theirs.friend_user_id', blockedUserIdsQuery(knex, userId))
+    .whereNotIn(
+      'theirs.friend_user_id',
+      knex('friend_suggestions')
+        .select('suggested_user_id')
+        .where('user_id', userId)
+        .whereNotNull('dismissed_at')
+    )
+    .select('theirs.friend_user_id as suggestedUserId')
+    .count({ score: '*' })
+    .groupBy('theirs.friend_user_id')
+    .orderBy('score', 'desc')
+    .limit(SUGGESTIONS_PER_USER);
+
+/**
+ * Regenerate the stored suggestions for a user. Rows for people who are still suggested keep
+ * their ID (so clients can dismiss them), stale rows are removed and dismissed rows are left untouched.
+ *
+ * @param {import('knex').Knex} knex - Knex instance or transaction
+ * @param {number} userId
+ */
+const refreshSuggestions = async (knex, userId) => {
+  const candidates = await suggestionCandidatesQuery(knex, userId);
+  const suggestedUserIds = candidates.map(row => row.suggestedUserId);
+
+  const staleQuery = knex('friend_suggestions')
+    .where('user_id', userId)
+    .whereNull('dismissed_at');
+
+  if (suggestedUserIds.length) {
+    staleQuery.whereNotIn('suggested_user_id', suggestedUserIds);
+  }
+
+  await staleQuery.del();
+
+  if (!candidates.length) {
+    return;
+  }
+
+  const createdAt = new Date().toISOString();
+
+  await knex('friend_suggestions')
+    .insert(
+      candidates.map(row => ({
+        user_id: userId,
+        suggested_user_id: row.suggestedUserId,
+        score: Number(row.score),
+        created_at: createdAt,
+      }))
+    )
+    .onConflict(['user_id', 'suggested_user_id'])
+    .merge(['score']);
+};
+
+/**
+ * @param {import('knex').Knex} knex - Knex instance or transaction
+ * @param {number[]} userIds
+ */
+const refreshSuggestionsForUsers = async (knex, userIds) => {
+  for (const userId of userIds) {
+    await refreshSuggestions(knex, userId);
+  }
+};
+
+module.exports = {
+  refreshSuggestions,
+  refreshSuggestionsForUsers,
+};
@@ -0,0 +1,111 @@
+const { blockedUserIdsQuery } = require('./blocks');
+
+/**
+ * Who can see a post. `list` posts are restricted to the members of `audience_list_id`.
+ */
+const POST_VISIBILITIES = ['public', 'friends', 'only_me', 'list'];
+
+/**
+ * Restrict a posts query to the posts `viewerId` is allowed to see: drafts, scheduled posts
+ * and posts by blocked users are hidden, and the author always sees their own published
+ * posts. Everyone else sees public posts, friends-only posts when they are friends with the
+ * author and list posts when they are a member of the list. `only_me` posts are never shown
+ * to anyone but the author.
+ *
+ * @param {import('knex').Knex} knex
+ * @param {number} viewerId
+ * @param {string} [alias='p'] - Alias of the posts table in the query
+ * @returns {(builder: import('knex').Knex.QueryBuilder) => void} Callback for `.where()`
+ */
+const visiblePostsFilter = (knex, viewerId, alias = 'p') => builder => {
+  builder
+    .where(`${alias}.status`, 'published')
+    .whereNotIn(`${alias}.user_id`, blockedUserIdsQuery(knex, viewerId))
+    .andWhere(audience => {
+      audience
+        .where(`${alias}.user_id`, viewerId)
+        .orWhere(`${alias}.visibility`, 'public')
+        .orWhere(friends => {
+          friends
+            .where(`${alias}.visibility`, 'friends')
+            .whereExists(
+              knex('friendships as vf')
+                .where('vf.user_id', viewerId)
+                .andWhere('vf.friend_user_id', knex.ref(`${alias}.user_id`))
+            );
+        })
+        .orWhere(list => {
+          list
+            .where(`${alias}.visibility`, 'list')
+            .whereExists(
+              knex('friend_list_members as flm')
+                .where('flm.list_id', knex.ref(`${alias}.audience_list_id`))
+                .andWhere('flm.member_user_id', viewerId)
+            );
+        });
+    });
+};
+
+/**
+ * `all` feeds include every public post; `following` feeds only the public posts of
+ * accounts the viewer follows.
+ */
+const FEED_TYPES = ['all', 'following'];
+
+/**
+ * Restrict a posts query to the posts that make up `viewerId`'s feed: their own posts, their
+ * friends' posts and public posts, or with `followingOnly` only the public posts of the
+ * accounts they follow. Combine with `visiblePostsFilter` for per-post access rules.
+ *
+ * @param {import('knex').Knex} knex
+ * @param {number} viewerId
+ * @param {string} [alias='p'] - Alias of the posts table in the query
+ * @param {object} [options]
+ * @param {boolean} [options.followingOnly=false]
+ * @returns {(builder: import('knex').Knex.QueryBuilder) => void} Callback for `.where()`
+ */
+const feedPostsFilter = (knex, viewerId, alias = 'p', { followingOnly = false } = {}) => builder => {
+  builder
+    .where(`${alias}.user_id`, viewerId)
+    .orWhereIn(`${alias}.user_id`, knex('friendships').select('friend_user_id').where('user_id', viewerId))
+    .orWhere(publicPosts => {
+      publicPosts.where(`${alias}.visibility`, 'public');
+
+      if (followingOnly) {
+        publicPosts.whereIn(
+          `${alias}.user_id`,
+          knex('follows').select('followee_user_id').where('follower_user_id', viewerId)
+        );
+      }
+    });
+};
+
+/**
+ * @param {import('knex').Knex} knex
+ * @param {number} viewerId
+ * @param {number} postId
+ * @param {object} [options]
+ * @param {boolean} [options.includeUnpublished=false] - Also find the viewer's own drafts and scheduled posts
+ * @returns {Promise<object | undefined>} The post row, or undefined when it does not exist or is not visible
+ */
+const findVisiblePost = (knex, viewerId, postId, { includeUnpublished = false } = {}) =>
+  knex('posts as p')
+    .where('p.id', postId)
+    .andWhere(builder => {
+      builder.where(visiblePostsFilter(knex, viewerId));
+
+      if (includeUnpublished) {
+        builder.orWhere(own => {
+          own.where('p.user_id', viewerId).whereNot('p.status', 'published');
+        });
+      }
+    })
+    .first('p.*');
+
+module.exports = {
+  POST_VISIBILITIES,
+  FEED_TYPES,
+  visiblePostsFilter,
+  feedPostsFilter,
+  findVisiblePost,
+};